@@ -0,0 +1,105 @@
+// --- Articulations ---
+// Doors, drawers and appliance doors are built as pivot groups carrying
+// userData.articulation (see createArticulation in builders.js). Double-click
+// a part to open or close it; the toolbar opens or closes everything.
+
+const ARTICULATION_DURATION = 0.6; // seconds for a full open or close
+
+const openAllButton = document.getElementById('btn-open-all');
+
+// One state per pivot: { object, spec, base, progress, target }
+let articulationStates = [];
+
+/**
+ * Finds every articulated pivot of the current kitchen, keeping the state of
+ * pivots that were already known (when components are added or removed).
+ */
+function collectArticulations() {
+  const known = new Map(articulationStates.map(state => [state.object, state]));
+  articulationStates = [];
+  kitchen.root.traverse((object) => {
+    const spec = object.userData.articulation;
+    if (!spec) return;
+    if (known.has(object)) {
+      articulationStates.push(known.get(object));
+      return;
+    }
+    const base = spec.type === 'hinge' ? object.rotation[spec.axis] : object.position[spec.axis];
+    articulationStates.push({ object, spec, base, progress: 0, target: 0 });
+  });
+  updateOpenAllButton();
+}
+
+function applyArticulation(state) {
+  const { object, spec, base } = state;
+  // Ease in and out so doors and drawers settle softly
+  const t = state.progress * state.progress * (3 - 2 * state.progress);
+  if (spec.type === 'hinge') object.rotation[spec.axis] = base + spec.angle * t;
+  else object.position[spec.axis] = base + spec.travel * t;
+}
+
+/**
+ * Steps running articulations; called from the render loop with the frame time.
+ */
+function updateArticulations(delta) {
+  const step = delta / ARTICULATION_DURATION;
+  articulationStates.forEach((state) => {
+    if (state.progress === state.target) return;
+    state.progress = state.target > state.progress
+      ? Math.min(state.progress + step, state.target)
+      : Math.max(state.progress - step, state.target);
+    applyArticulation(state);
+  });
+}
+
+/**
+ * Opens the given articulations, or closes them if they are all open already.
+ */
+function toggleArticulations(states) {
+  const open = states.some(state => state.target === 0);
+  states.forEach((state) => {
+    state.target = open ? 1 : 0;
+  });
+  updateOpenAllButton();
+}
+
+/**
+ * Toggles the part under a picked object: the door or drawer itself, or every
+ * moving part of the clicked component (e.g. a cabinet carcass or oven body).
+ * Returns true if anything moved.
+ */
+function toggleArticulationAt(object) {
+  let owner = object;
+  while (owner && !owner.userData.articulation && !owner.userData.isComponent) owner = owner.parent;
+  if (!owner) return false;
+  const states = owner.userData.articulation
+    ? articulationStates.filter(state => state.object === owner)
+    : articulationStates.filter(state => findComponentObject(state.object) === owner);
+  if (states.length === 0) return false;
+  toggleArticulations(states);
+  return true;
+}
+
+function isAnyArticulationOpen() {
+  return articulationStates.some(state => state.target === 1);
+}
+
+function updateOpenAllButton() {
+  const anyOpen = isAnyArticulationOpen();
+  openAllButton.textContent = anyOpen ? 'Close all' : 'Open all';
+  openAllButton.classList.toggle('active', anyOpen);
+}
+
+function setupArticulation() {
+  collectArticulations();
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    if (['rebuild', 'add', 'remove'].includes(event.detail.reason)) collectArticulations();
+  });
+  openAllButton.addEventListener('click', () => {
+    const anyOpen = isAnyArticulationOpen();
+    articulationStates.forEach((state) => {
+      state.target = anyOpen ? 0 : 1;
+    });
+    updateOpenAllButton();
+  });
+}
@@ -0,0 +1,218 @@
+// --- Bill of Materials ---
+// Walks the built kitchen and lists every component, cabinet module and
+// countertop as cut-list lines grouped by type, material and size, with totals
+// for countertop area, tiled area and cabinet linear metres. Items hidden in
+// the outliner are left out, as they are from the drawings and the GLB export.
+
+// BOM category per component type; other types count as decor
+const BOM_CATEGORIES = {
+  upperCabinet: 'Wall cabinets',
+  pantry: 'Tall cabinets',
+  cooktop: 'Appliances',
+  oven: 'Appliances',
+  rangeHood: 'Appliances',
+  sink: 'Appliances',
+  waterPurifier: 'Appliances',
+  refrigerator: 'Appliances',
+  dishwasher: 'Appliances',
+  coffeeMaker: 'Small appliances',
+  toaster: 'Small appliances',
+  kettle: 'Small appliances',
+  microwave: 'Small appliances',
+  island: 'Furniture',
+  barStool: 'Furniture',
+  diningTable: 'Furniture',
+  diningChair: 'Furniture',
+  wallShelf: 'Furniture',
+  window: 'Openings',
+  door: 'Openings',
+  lightFixture: 'Lighting'
+};
+const BOM_COLUMNS = ['Category', 'Item', 'Type', 'Material', 'Quantity', 'Width (m)', 'Height (m)', 'Depth (m)', 'Area (m²)', 'Length (m)', 'Layout ids'];
+
+const bomPanel = document.getElementById('bom-panel');
+const bomButton = document.getElementById('btn-bom');
+const bomSummary = document.getElementById('bom-summary');
+const bomTotals = document.getElementById('bom-totals');
+const bomCsvButton = document.getElementById('btn-bom-csv');
+const bomJsonButton = document.getElementById('btn-bom-json');
+
+function roundMeters(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Material of an object's largest visible mesh.
+ */
+function primaryMaterial(root) {
+  let best = null;
+  let bestVolume = -1;
+  root.traverseVisible((object) => {
+    if (!object.isMesh) return;
+    if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+    const size = object.geometry.boundingBox.getSize(new THREE.Vector3());
+    const volume = Math.max(size.x, 0.01) * Math.max(size.y, 0.01) * Math.max(size.z, 0.01);
+    if (volume > bestVolume) {
+      best = object.material;
+      bestVolume = volume;
+    }
+  });
+  return best ? best.name : '';
+}
+
+/**
+ * Width/height/depth of an object: as recorded by its builder, else its visible bounds.
+ */
+function getDimensions(object) {
+  if (object.userData.dimensions) return object.userData.dimensions;
+  const size = getLocalBounds(object).getSize(new THREE.Vector3());
+  return { width: size.x, height: size.y, depth: size.z };
+}
+
+/**
+ * Adds a line to the BOM, merging it with an identical one (same category,
+ * item, type, material and size) by raising the quantity.
+ */
+function addBomLine(lines, line, id) {
+  const { width, height, depth } = line;
+  const key = [line.category, line.item, line.type, line.material, width, height, depth].join('|');
+  let existing = lines.get(key);
+  if (!existing) {
+    existing = { ...line, quantity: 0, area: 0, length: 0, ids: [] };
+    lines.set(key, existing);
+  }
+  existing.quantity += 1;
+  existing.area = roundMeters(existing.area + (line.area || 0));
+  existing.length = roundMeters(existing.length + (line.length || 0));
+  existing.ids.push(id);
+}
+
+function addToTotal(totals, material, amount) {
+  totals[material] = roundMeters((totals[material] || 0) + amount);
+}
+
+// Whether an object counts: shown, with at least one shown mesh
+function inBOM(object) {
+  return isObjectShown(object) && !getLocalBounds(object).isEmpty();
+}
+
+/**
+ * Builds the bill of materials of the current kitchen.
+ * Returns { layout, generated, lines, totals } where totals hold countertop and
+ * tiled areas per material (m²) and base/wall cabinet lengths (m).
+ */
+function generateBOM() {
+  const lines = new Map();
+  const totals = { countertopArea: {}, tileArea: {}, cabinetLength: { base: 0, wall: 0 } };
+  const sized = (object) => {
+    const { width, height, depth } = getDimensions(object);
+    return { width: roundMeters(width), height: roundMeters(height), depth: roundMeters(depth) };
+  };
+
+  kitchen.objects.forEach((root, id) => {
+    if (!inBOM(root)) return;
+    const { type } = root.userData;
+    if (type === 'cabinetRun') {
+      root.children.forEach((part) => {
+        if (!inBOM(part)) return;
+        if (part.userData.cabinetModule) {
+          const size = sized(part);
+          addBomLine(lines, { category: 'Base cabinets', item: part.userData.name, type: part.userData.cabinetModule, material: part.userData.finish, ...size, length: size.width }, id);
+          totals.cabinetLength.base = roundMeters(totals.cabinetLength.base + size.width);
+        } else if (part.userData.isComponent && part.userData.dimensions) {
+          const size = sized(part);
+          addBomLine(lines, { category: 'Countertops', item: part.userData.name, type: 'countertop', material: part.material.name, ...size, area: size.width * size.depth }, id);
+        }
+      });
+    } else {
+      const size = sized(root);
+      const line = { category: BOM_CATEGORIES[type] || 'Decor', item: root.userData.name || entryLabel(findLayoutEntry(kitchen.layout, id)), type, material: primaryMaterial(root), ...size };
+      // Tiled items (decor panels) are quoted by their area, with the backsplashes
+      const { tile } = root.userData;
+      if (tile) Object.assign(line, { category: 'Tiling', material: tile.material, area: tile.width * tile.height });
+      if (type === 'upperCabinet') {
+        line.length = size.width;
+        totals.cabinetLength.wall = roundMeters(totals.cabinetLength.wall + size.width);
+      }
+      addBomLine(lines, line, id);
+    }
+
+    // Countertop and tile areas, wherever the builders recorded them
+    const { surface } = root.userData;
+    if (surface && surface.material) addToTotal(totals.countertopArea, surface.material, 4 * surface.halfX * surface.halfZ);
+    root.traverseVisible((object) => {
+      const { tile } = object.userData;
+      if (!tile) return;
+      const area = tile.width * tile.height;
+      addToTotal(totals.tileArea, tile.material, area);
+      // Tiled parts of larger objects (run backsplashes) get their own line
+      if (object !== root) {
+        addBomLine(lines, { category: 'Backsplash', item: `${entryLabel(findLayoutEntry(kitchen.layout, id))} backsplash`, type: 'backsplash', material: tile.material, width: roundMeters(tile.width), height: roundMeters(tile.height), depth: 0, area }, id);
+      }
+    });
+  });
+
+  const order = ['Base cabinets', 'Wall cabinets', 'Tall cabinets', 'Countertops', 'Backsplash', 'Tiling', 'Appliances', 'Small appliances', 'Furniture', 'Openings', 'Lighting', 'Decor'];
+  const sorted = [...lines.values()].sort((a, b) => order.indexOf(a.category) - order.indexOf(b.category));
+  return { layout: kitchen.layout.name, generated: new Date().toISOString(), lines: sorted, totals };
+}
+
+function csvCell(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats a BOM as CSV: one row per line, then the totals.
+ */
+function bomToCsv(bom) {
+  const fixed = value => (value ? value.toFixed(2) : '');
+  const rows = [BOM_COLUMNS];
+  bom.lines.forEach((line) => {
+    rows.push([line.category, line.item, line.type, line.material, line.quantity,
+      fixed(line.width), fixed(line.height), fixed(line.depth), fixed(line.area), fixed(line.length), line.ids.join(' ')]);
+  });
+  rows.push([]);
+  // Totals go in the Area and Length columns
+  const total = (item, material, area, length) => rows.push(['Total', item, '', material, '', '', '', '', fixed(area), fixed(length)]);
+  Object.entries(bom.totals.countertopArea).forEach(([material, area]) => total('Countertop area', material, area, 0));
+  Object.entries(bom.totals.tileArea).forEach(([material, area]) => total('Tiled area', material, area, 0));
+  total('Base cabinets', '', 0, bom.totals.cabinetLength.base);
+  total('Wall cabinets', '', 0, bom.totals.cabinetLength.wall);
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Lists the BOM totals in the panel.
+ */
+function refreshBOM() {
+  const bom = generateBOM();
+  const pieces = bom.lines.reduce((sum, line) => sum + line.quantity, 0);
+  bomSummary.textContent = `${bom.lines.length} lines, ${pieces} pieces.`;
+  const entries = [
+    ...Object.entries(bom.totals.countertopArea).map(([material, area]) => `Countertop (${material}): ${area.toFixed(2)} m²`),
+    ...Object.entries(bom.totals.tileArea).map(([material, area]) => `Tiled area (${material}): ${area.toFixed(2)} m²`),
+    `Base cabinets: ${formatMeters(bom.totals.cabinetLength.base)}`,
+    `Wall cabinets: ${formatMeters(bom.totals.cabinetLength.wall)}`
+  ];
+  bomTotals.replaceChildren(...entries.map((text) => {
+    const li = document.createElement('li');
+    li.textContent = text;
+    return li;
+  }));
+  return bom;
+}
+
+function setupBOM() {
+  registerToolPanel(bomPanel, bomButton, { onOpen: refreshBOM });
+  window.addEventListener(LAYOUT_CHANGE_EVENT, () => {
+    if (isToolPanelOpen(bomPanel)) refreshBOM();
+  });
+  const stem = () => `${fileSlug(kitchen.layout.name)}-bom`;
+  bomCsvButton.addEventListener('click', () => {
+    downloadBlob(new Blob([bomToCsv(refreshBOM())], { type: 'text/csv' }), `${stem()}.csv`);
+  });
+  bomJsonButton.addEventListener('click', () => {
+    downloadBlob(new Blob([JSON.stringify(refreshBOM(), null, 2) + '\n'], { type: 'application/json' }), `${stem()}.json`);
+  });
+}
@@ -0,0 +1,214 @@
+// --- Camera Bookmarks and Guided Tour ---
+// Bookmarks are named views kept in the layout's "bookmarks" section:
+// { name, mode, position, target, zoom, focus: [component ids], caption }.
+// The first one is the view the page opens with. The tour flies through them
+// in order and captions each stop with the details of its focus components.
+
+// View used when a layout has no bookmarks
+const DEFAULT_BOOKMARK = { name: 'Overview', mode: 'isometric', position: [12, 12, 12], target: [0, 1.2, 0], zoom: 1 };
+const BOOKMARK_FLIGHT = 1.5;   // seconds to fly to a clicked bookmark
+const TOUR_FLIGHT = 2.5;       // seconds between tour stops
+const TOUR_HOLD = 4;           // seconds the tour stays at each stop
+
+const bookmarksPanel = document.getElementById('bookmarks-panel');
+const bookmarksButton = document.getElementById('btn-bookmarks');
+const bookmarkNameInput = document.getElementById('bookmark-name');
+const bookmarkAddButton = document.getElementById('btn-add-bookmark');
+const bookmarksList = document.getElementById('bookmarks-list');
+const tourButton = document.getElementById('btn-tour');
+const tourCaption = document.getElementById('tour-caption');
+const tourCaptionTitle = document.getElementById('tour-caption-title');
+const tourCaptionText = document.getElementById('tour-caption-text');
+
+const bookmarkState = {
+  flight: null,  // { from, to, elapsed, duration } while the camera is moving
+  tour: null     // { index, hold } while the tour plays
+};
+
+function getBookmarks() {
+  return kitchen.layout.bookmarks || [];
+}
+
+function bookmarkView(bookmark) {
+  return {
+    mode: bookmark.mode || 'isometric',
+    position: new THREE.Vector3().fromArray(bookmark.position),
+    target: new THREE.Vector3().fromArray(bookmark.target),
+    zoom: bookmark.zoom ?? 1
+  };
+}
+
+/**
+ * Eases the camera from the current view to a bookmark. The camera mode
+ * switches first, so the flight itself happens in the bookmark's mode.
+ */
+function flyToBookmark(bookmark, duration = BOOKMARK_FLIGHT) {
+  const to = bookmarkView(bookmark);
+  setCameraMode(to.mode);
+  bookmarkState.flight = { from: getCameraView(), to, elapsed: 0, duration };
+}
+
+/**
+ * Caption lines of a bookmark: its own caption, then the name and description
+ * of each focus component.
+ */
+function bookmarkCaption(bookmark) {
+  const lines = bookmark.caption ? [bookmark.caption] : [];
+  (bookmark.focus || []).forEach((id) => {
+    const object = kitchen.objects.get(id);
+    if (!object || !object.userData.isComponent) return;
+    const { name, details } = object.userData;
+    lines.push(details ? `${name}: ${details}` : name);
+  });
+  return lines;
+}
+
+function showTourCaption(bookmark) {
+  tourCaptionTitle.textContent = bookmark.name;
+  tourCaptionText.replaceChildren(...bookmarkCaption(bookmark).map((line) => {
+    const p = document.createElement('p');
+    p.textContent = line;
+    return p;
+  }));
+  tourCaption.classList.add('visible');
+}
+
+function startTour() {
+  if (getBookmarks().length === 0) return;
+  bookmarkState.tour = { index: 0, hold: TOUR_HOLD };
+  flyToBookmark(getBookmarks()[0], TOUR_FLIGHT);
+  tourButton.textContent = 'Stop tour';
+  tourButton.classList.add('active');
+}
+
+function stopTour() {
+  bookmarkState.tour = null;
+  bookmarkState.flight = null;
+  tourCaption.classList.remove('visible');
+  tourButton.textContent = 'Play tour';
+  tourButton.classList.remove('active');
+}
+
+/**
+ * Steps the camera flight and the tour; called from the render loop with the frame time.
+ */
+function updateBookmarks(delta) {
+  const { flight, tour } = bookmarkState;
+  if (flight) {
+    flight.elapsed = Math.min(flight.elapsed + delta, flight.duration);
+    const progress = flight.elapsed / flight.duration;
+    const t = progress * progress * (3 - 2 * progress);
+    const { from, to } = flight;
+    setCameraView({
+      mode: to.mode,
+      position: from.position.clone().lerp(to.position, t),
+      target: from.target.clone().lerp(to.target, t),
+      zoom: THREE.MathUtils.lerp(from.zoom, to.zoom, t)
+    });
+    if (progress < 1) return;
+    bookmarkState.flight = null;
+    if (tour) showTourCaption(getBookmarks()[tour.index]);
+    return;
+  }
+  if (!tour) return;
+  tour.hold -= delta;
+  if (tour.hold > 0) return;
+  const bookmarks = getBookmarks();
+  if (tour.index + 1 >= bookmarks.length) {
+    stopTour();
+    return;
+  }
+  tour.index += 1;
+  tour.hold = TOUR_HOLD;
+  tourCaption.classList.remove('visible');
+  flyToBookmark(bookmarks[tour.index], TOUR_FLIGHT);
+}
+
+/**
+ * Layout id of the shown component in the middle of the view, if any.
+ */
+function centeredComponentId() {
+  const center = { clientX: window.innerWidth / 2, clientY: window.innerHeight / 2 };
+  const hit = pickKitchen(center).find(i => findComponentObject(i.object));
+  const root = hit ? findLayoutRoot(hit.object) : null;
+  return root ? root.userData.layoutId : null;
+}
+
+/**
+ * Adds the current view as a bookmark, focused on the component in the middle of it.
+ */
+function addBookmark() {
+  const view = getCameraView();
+  const round = vector => vector.toArray().map(value => Math.round(value * 1000) / 1000);
+  const bookmark = {
+    name: bookmarkNameInput.value.trim() || `View ${getBookmarks().length + 1}`,
+    mode: view.mode,
+    position: round(view.position),
+    target: round(view.target),
+    zoom: Math.round(view.zoom * 1000) / 1000
+  };
+  const focus = centeredComponentId();
+  if (focus) bookmark.focus = [focus];
+  kitchen.layout.bookmarks = [...getBookmarks(), bookmark];
+  bookmarkNameInput.value = '';
+  refreshBookmarks();
+}
+
+/**
+ * Lists the layout's bookmarks; the first is marked as the default view.
+ */
+function refreshBookmarks() {
+  const bookmarks = getBookmarks();
+  tourButton.disabled = bookmarks.length === 0;
+  if (bookmarks.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'text-gray-400';
+    empty.textContent = 'No bookmarks in this layout yet.';
+    bookmarksList.replaceChildren(empty);
+    return;
+  }
+  bookmarksList.replaceChildren(...bookmarks.map((bookmark, index) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center gap-2';
+    const show = document.createElement('button');
+    show.className = 'flex-1 text-left hover:underline';
+    show.textContent = index === 0 ? `${bookmark.name} (default)` : bookmark.name;
+    show.addEventListener('click', () => {
+      stopTour();
+      flyToBookmark(bookmark);
+    });
+    const remove = document.createElement('button');
+    remove.className = 'toolbar-button';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+      kitchen.layout.bookmarks = bookmarks.filter(other => other !== bookmark);
+      refreshBookmarks();
+    });
+    li.append(show, remove);
+    return li;
+  }));
+}
+
+function setupBookmarks() {
+  // Open on the default view
+  setCameraView(bookmarkView(getBookmarks()[0] || DEFAULT_BOOKMARK));
+
+  registerToolPanel(bookmarksPanel, bookmarksButton, { onOpen: refreshBookmarks });
+  bookmarkAddButton.addEventListener('click', addBookmark);
+  bookmarkNameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') addBookmark();
+  });
+  tourButton.addEventListener('click', () => (bookmarkState.tour ? stopTour() : startTour()));
+
+  // Taking over the camera ends the tour or a flight
+  renderer.domElement.addEventListener('pointerdown', stopTour);
+  renderer.domElement.addEventListener('wheel', stopTour);
+  window.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape' && (bookmarkState.tour || bookmarkState.flight)) stopTour();
+  });
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    if (event.detail.reason !== 'rebuild') return;
+    stopTour();
+    if (isToolPanelOpen(bookmarksPanel)) refreshBookmarks();
+  });
+}
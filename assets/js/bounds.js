@@ -0,0 +1,203 @@
+// --- Bounds and Footprints ---
+// Footprints are oriented rectangles on the floor plane (X/Z) with a vertical
+// extent: { id, name, center: Vector2(x, z), halfX, halfZ, yaw, minY, maxY }.
+
+/**
+ * Bounding box of an object's visible meshes, in the object's own local frame.
+ */
+function getLocalBounds(root) {
+  root.updateWorldMatrix(true, true);
+  const bounds = new THREE.Box3();
+  const toLocal = new THREE.Matrix4().copy(root.matrixWorld).invert();
+  const meshBox = new THREE.Box3();
+  const matrix = new THREE.Matrix4();
+  root.traverseVisible((object) => {
+    if (!object.isMesh) return;
+    if (!object.geometry.boundingBox) object.geometry.computeBoundingBox();
+    matrix.multiplyMatrices(toLocal, object.matrixWorld);
+    bounds.union(meshBox.copy(object.geometry.boundingBox).applyMatrix4(matrix));
+  });
+  return bounds;
+}
+
+/**
+ * Yaw of an object in world space, read in YXZ order.
+ */
+function getWorldYaw(object) {
+  const quaternion = new THREE.Quaternion();
+  object.getWorldQuaternion(quaternion);
+  return new THREE.Euler().setFromQuaternion(quaternion, 'YXZ').y;
+}
+
+/**
+ * Floor footprint of a layout object. Objects with a countertop surface (runs,
+ * island) use that footprint up to the counter, so a backsplash or items left
+ * on top do not enlarge it.
+ */
+function getFootprint(root) {
+  let bounds;
+  if (root.userData.surface) {
+    const { halfX, halfZ, top } = root.userData.surface;
+    bounds = new THREE.Box3(new THREE.Vector3(-halfX, 0, -halfZ), new THREE.Vector3(halfX, top, halfZ));
+  } else {
+    bounds = getLocalBounds(root);
+  }
+  const center = root.localToWorld(bounds.getCenter(new THREE.Vector3()));
+  // Objects only yaw, so the vertical extent is the local one offset by the origin height
+  const originY = root.getWorldPosition(new THREE.Vector3()).y;
+  return {
+    id: root.userData.layoutId,
+    name: root.userData.name || entryLabel(findLayoutEntry(kitchen.layout, root.userData.layoutId)),
+    object: root,
+    center: new THREE.Vector2(center.x, center.z),
+    halfX: (bounds.max.x - bounds.min.x) / 2,
+    halfZ: (bounds.max.z - bounds.min.z) / 2,
+    yaw: getWorldYaw(root),
+    minY: originY + bounds.min.y,
+    maxY: originY + bounds.max.y
+  };
+}
+
+/**
+ * Display name of a countertop footprint: the run's countertop name, else the object's name.
+ */
+function surfaceName(surface) {
+  return findLayoutEntry(kitchen.layout, surface.id)?.countertop?.name ?? surface.name;
+}
+
+/**
+ * Unit axes of a footprint on the floor plane (local X and local Z).
+ */
+function footprintAxes(rect) {
+  // Rotation about +Y maps local X to (cos, -sin) and local Z to (sin, cos) in (x, z)
+  const c = Math.cos(rect.yaw), s = Math.sin(rect.yaw);
+  return [new THREE.Vector2(c, -s), new THREE.Vector2(s, c)];
+}
+
+/**
+ * Corner points of a footprint, in order around the rectangle.
+ */
+function footprintCorners(rect) {
+  const [ax, az] = footprintAxes(rect);
+  return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => rect.center.clone()
+    .addScaledVector(ax, sx * rect.halfX)
+    .addScaledVector(az, sz * rect.halfZ));
+}
+
+/**
+ * Penetration depth of two footprints on the floor plane (0 if separated).
+ */
+function footprintOverlap(a, b) {
+  const cornersA = footprintCorners(a);
+  const cornersB = footprintCorners(b);
+  let depth = Infinity;
+  for (const axis of [...footprintAxes(a), ...footprintAxes(b)]) {
+    const pa = cornersA.map(p => p.dot(axis));
+    const pb = cornersB.map(p => p.dot(axis));
+    const overlap = Math.min(Math.max(...pa), Math.max(...pb)) - Math.max(Math.min(...pa), Math.min(...pb));
+    if (overlap <= 0) return 0;
+    depth = Math.min(depth, overlap);
+  }
+  return depth;
+}
+
+function closestPointOnSegment(p, a, b) {
+  const ab = b.clone().sub(a);
+  const t = THREE.MathUtils.clamp(p.clone().sub(a).dot(ab) / ab.lengthSq(), 0, 1);
+  return a.clone().addScaledVector(ab, t);
+}
+
+/**
+ * Shortest gap between two separated footprints, with the closest points.
+ * Returns { distance: 0 } when they touch or overlap.
+ */
+function footprintGap(a, b) {
+  if (footprintOverlap(a, b) > 0) return { distance: 0, from: a.center.clone(), to: b.center.clone() };
+  const cornersA = footprintCorners(a);
+  const cornersB = footprintCorners(b);
+  let best = { distance: Infinity, from: null, to: null };
+  const test = (points, polygon, swap) => {
+    points.forEach((p) => {
+      polygon.forEach((q, i) => {
+        const onEdge = closestPointOnSegment(p, q, polygon[(i + 1) % polygon.length]);
+        const distance = p.distanceTo(onEdge);
+        if (distance < best.distance) {
+          best = swap ? { distance, from: onEdge, to: p } : { distance, from: p, to: onEdge };
+        }
+      });
+    });
+  };
+  test(cornersA, cornersB, false);
+  test(cornersB, cornersA, true);
+  return best;
+}
+
+/**
+ * Distance from a floor point (Vector2 x, z) to a footprint, 0 inside it.
+ */
+function footprintDistance(rect, point) {
+  const local = footprintLocalPoint(rect, point);
+  return Math.hypot(Math.max(Math.abs(local.x) - rect.halfX, 0), Math.max(Math.abs(local.y) - rect.halfZ, 0));
+}
+
+/**
+ * Inner faces of the room's built walls as { side, axis, plane, sign }: the
+ * face lies at `axis` ('x' or 'y' of a floor point) = `plane`, and `sign`
+ * points into the room.
+ */
+function roomWallFaces() {
+  const { width, depth, wallThickness = 0.1, walls = [] } = kitchen.layout.room;
+  const faces = {
+    back: ['y', -depth/2 + wallThickness/2, 1],
+    front: ['y', depth/2 - wallThickness/2, -1],
+    left: ['x', -width/2 + wallThickness/2, 1],
+    right: ['x', width/2 - wallThickness/2, -1]
+  };
+  return walls.map(({ side }) => {
+    const [axis, plane, sign] = faces[side];
+    return { side, axis, plane, sign };
+  });
+}
+
+/**
+ * Distance from a footprint to a wall face (see roomWallFaces), with the
+ * nearest point (a corner, or the middle of a side parallel to the wall) and
+ * the point on the wall across from it.
+ */
+function footprintWallGap(rect, face) {
+  const { axis, plane, sign } = face;
+  const corners = footprintCorners(rect);
+  const distance = Math.min(...corners.map(p => (p[axis] - plane) * sign));
+  const nearestCorners = corners.filter(p => (p[axis] - plane) * sign - distance < 1e-6);
+  const nearest = nearestCorners.reduce((sum, p) => sum.add(p), new THREE.Vector2()).divideScalar(nearestCorners.length);
+  const onWall = nearest.clone();
+  onWall[axis] = plane;
+  return { distance, from: nearest, to: onWall };
+}
+
+/**
+ * Whether footprint `inner` lies entirely inside footprint `outer` (within a tolerance).
+ */
+function footprintContains(outer, inner, tolerance = 0) {
+  return footprintCorners(inner).every((p) => {
+    const local = footprintLocalPoint(outer, p);
+    return Math.abs(local.x) <= outer.halfX + tolerance && Math.abs(local.y) <= outer.halfZ + tolerance;
+  });
+}
+
+/**
+ * A floor point (Vector2 x, z) expressed in a footprint's own axes, relative to its center.
+ */
+function footprintLocalPoint(rect, point) {
+  const [ax, az] = footprintAxes(rect);
+  const d = point.clone().sub(rect.center);
+  return new THREE.Vector2(d.dot(ax), d.dot(az));
+}
+
+/**
+ * Inverse of footprintLocalPoint: a point in a footprint's axes back on the floor plane.
+ */
+function footprintWorldPoint(rect, localX, localZ) {
+  const [ax, az] = footprintAxes(rect);
+  return rect.center.clone().addScaledVector(ax, localX).addScaledVector(az, localZ);
+}
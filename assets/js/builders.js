@@ -0,0 +1,1237 @@
+// --- Component Builders ---
+// Each builder turns one layout entry into an Object3D positioned in world space.
+// Builders receive the entry and the build context ({ layout, materials, textures }).
+
+/**
+ * Looks up the material for a named part of an entry, honouring per-entry overrides.
+ */
+function resolveMaterial(ctx, entry, part, fallback) {
+  const key = entry.materials?.[part] ?? (part === 'body' ? entry.material : undefined) ?? fallback;
+  const material = ctx.materials[key];
+  if (!material) {
+    throw new Error(`Unknown material "${key}" referenced by layout entry "${entry.id}"`);
+  }
+  return material;
+}
+
+/**
+ * Applies an entry's position and yaw (degrees) to an object.
+ */
+function placeObject(object, entry) {
+  object.position.fromArray(entry.position || [0, 0, 0]);
+  object.rotation.y = THREE.MathUtils.degToRad(entry.rotation || 0);
+  return object;
+}
+
+/**
+ * Makes a group a clickable component with the metadata createComponent() gives
+ * a mesh. A pick on any mesh inside it resolves to the group, and the nearest
+ * named object on the way up names the part that was hit.
+ */
+function markComponent(group, entry) {
+  Object.assign(group.userData, componentData(entry.name, entry.details));
+  return group;
+}
+
+/**
+ * Adds a pivot group for a moving part (door, drawer, appliance door) at `origin`
+ * in the parent's frame; the part's meshes go inside, relative to the pivot.
+ * The spec is animated by articulation.js: { type: 'hinge', axis, angle } with
+ * the angle in radians, or { type: 'slide', axis, travel }.
+ */
+function createArticulation(parent, origin, spec) {
+  const pivot = new THREE.Group();
+  pivot.position.copy(origin);
+  pivot.userData.articulation = spec;
+  parent.add(pivot);
+  return pivot;
+}
+
+// --- Structure ---
+
+function createRoom(room, ctx) {
+  const group = new THREE.Group();
+  const { width: roomWidth, depth: roomDepth, wallHeight } = room;
+  const wallThickness = room.wallThickness ?? 0.1;
+
+  const floorMat = ctx.materials[room.floorMaterial];
+  const floor = new THREE.Mesh(new THREE.PlaneGeometry(roomWidth, roomDepth), floorMat);
+  floor.rotation.x = -Math.PI / 2;
+  floor.position.y = -0.01;
+  floor.receiveShadow = true;
+  group.add(floor);
+  // Scale tile repeats so each tile matches floorTileSize in world units
+  if (floorMat.map && room.floorTileSize) {
+    floorMat.map.repeat.set(Math.max(1, Math.floor(roomWidth / room.floorTileSize)), Math.max(1, Math.floor(roomDepth / room.floorTileSize)));
+  }
+
+  (room.walls || []).forEach(({ side, material }) => {
+    const alongX = side === 'back' || side === 'front';
+    const geometry = alongX
+      ? new THREE.BoxGeometry(roomWidth, wallHeight, wallThickness)
+      : new THREE.BoxGeometry(wallThickness, wallHeight, roomDepth);
+    const wall = new THREE.Mesh(geometry, ctx.materials[material]);
+    const offsets = { back: [0, -roomDepth/2], front: [0, roomDepth/2], left: [-roomWidth/2, 0], right: [roomWidth/2, 0] };
+    const [x, z] = offsets[side];
+    wall.position.set(x, wallHeight/2, z);
+    wall.receiveShadow = true;
+    wall.userData = { wall: side };
+    group.add(wall);
+  });
+  return group;
+}
+
+// --- Cabinet Modules ---
+// Base runs are split into modules listed from local -X to +X. Each module is
+// its own clickable carcass with fronts, handles and a recessed toe kick.
+
+const CABINET_MODULE_WIDTHS = [0.9, 0.6, 0.45, 0.3]; // standard widths for runs without "modules"
+const FRONT_GAP = 0.01;
+const FRONT_THICKNESS = 0.03;
+const DOOR_OPEN_ANGLE = 100;  // degrees
+const DRAWER_TRAVEL = 0.6;    // fraction of the cabinet depth
+
+const CABINET_MODULE_TYPES = {
+  doors: { label: 'Door Base', description: 'Base cabinet with hinged doors and an adjustable shelf.' },
+  drawers: { label: 'Drawer Base', description: 'Base cabinet with a stack of full-extension drawers.' },
+  sink: { label: 'Sink Base', description: 'Sink cabinet with a false front above hinged doors.' },
+  appliance: { label: 'Appliance Housing', description: 'Open housing for a built-in appliance, with a storage drawer below.' },
+  corner: { label: 'Blind Corner Base', description: 'Corner cabinet hidden behind the adjoining run.' },
+  filler: { label: 'Filler', description: 'Filler panel closing the gap left by standard cabinet widths.' }
+};
+
+/**
+ * Fills a run length with standard module widths: the smallest leftover (closed
+ * with a filler at the end), then the fewest modules. Door cabinets take the
+ * widest slots and drawer stacks the mid-sized ones.
+ */
+function planCabinetModules(length, widths) {
+  // Work in whole centimetres so the widths add up exactly
+  const total = Math.round(length * 100);
+  const steps = widths.map(width => Math.round(width * 100));
+  const plans = [[]];
+  for (let i = 1; i <= total; i++) {
+    plans[i] = null;
+    steps.forEach((step) => {
+      const rest = plans[i - step];
+      if (step <= i && rest && (!plans[i] || rest.length + 1 < plans[i].length)) plans[i] = [...rest, step];
+    });
+  }
+  let filled = total;
+  while (!plans[filled]) filled--;
+  const modules = plans[filled]
+    .sort((a, b) => b - a)
+    .map(cm => ({ type: cm >= 90 || cm < 45 ? 'doors' : 'drawers', width: cm / 100 }));
+  if (filled < total) modules.push({ type: 'filler', width: (total - filled) / 100 });
+  return modules;
+}
+
+/**
+ * Resolves a run's modules: its own "modules" list, or a plan from standard widths.
+ * A list shorter than the run is closed with a filler.
+ */
+function getCabinetModules(run, ctx) {
+  if (!run.modules) return planCabinetModules(run.length, ctx.layout.cabinets.moduleWidths || CABINET_MODULE_WIDTHS);
+  const modules = run.modules.map(module => ({ ...module }));
+  const used = modules.reduce((sum, module) => sum + module.width, 0);
+  if (used > run.length + 0.001) {
+    throw new Error(`Cabinet modules of run "${run.id}" are ${used.toFixed(2)} wide, longer than the run (${run.length})`);
+  }
+  if (run.length - used > 0.001) modules.push({ type: 'filler', width: run.length - used });
+  return modules;
+}
+
+/**
+ * Adds a front panel, centered at (x, y) on the carcass front, with an optional
+ * handle bar ('vertical' or 'horizontal') at (handleX, handleY). Fronts given a
+ * `hinge` side ('left', 'right' or 'bottom') swing open; `slide` fronts pull out
+ * as drawers, with a drawer box behind them. Returns the group the front moves
+ * with, for extra parts fixed to it.
+ */
+function addCabinetFront(carcass, parts, { x, y, width, height, handle, handleX = x, handleY = y, hinge, slide }) {
+  let parent = carcass;
+  let origin = new THREE.Vector3();
+  if (hinge) {
+    // Pivot on the hinged edge, at the back face of the front
+    const hingeX = { left: x - width/2, right: x + width/2, bottom: x }[hinge];
+    const hingeY = hinge === 'bottom' ? y - height/2 : y;
+    origin = new THREE.Vector3(hingeX, hingeY, parts.frontZ);
+    const angle = THREE.MathUtils.degToRad(parts.openAngle) * (hinge === 'left' ? -1 : 1);
+    parent = createArticulation(carcass, origin, { type: 'hinge', axis: hinge === 'bottom' ? 'x' : 'y', angle });
+    parent.name = 'Door';
+    // Light interior, hidden behind the closed door
+    const interior = new THREE.Mesh(new THREE.BoxGeometry(width, height, 0.002), parts.interior);
+    interior.name = 'Interior';
+    interior.position.set(x, y, parts.frontZ + 0.001);
+    carcass.add(interior);
+  } else if (slide) {
+    origin = new THREE.Vector3(x, y, parts.frontZ);
+    parent = createArticulation(carcass, origin, { type: 'slide', axis: 'z', travel: slide });
+    parent.name = 'Drawer';
+    const box = new THREE.Mesh(new THREE.BoxGeometry(width - 0.06, height * 0.7, slide), parts.interior);
+    box.name = 'Drawer box';
+    box.position.set(0, -height * 0.1, -slide/2);
+    parent.add(box);
+  }
+
+  const front = new THREE.Mesh(new THREE.BoxGeometry(width, height, FRONT_THICKNESS), parts.front);
+  front.name = parent === carcass ? 'Front panel' : parent.name;
+  front.position.set(x - origin.x, y - origin.y, parts.frontZ + FRONT_THICKNESS/2 - origin.z);
+  front.castShadow = true;
+  parent.add(front);
+  if (!handle) return parent;
+  const length = handle === 'vertical' ? 0.2 : Math.min(0.3, width * 0.5);
+  const bar = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, length, 12), parts.handle);
+  bar.name = 'Handle';
+  if (handle === 'horizontal') bar.rotation.z = Math.PI/2;
+  bar.position.set(handleX - origin.x, handleY - origin.y, parts.frontZ + FRONT_THICKNESS + 0.03 - origin.z);
+  parent.add(bar);
+  return parent;
+}
+
+/**
+ * Fills a frontal area (carcass-relative, from bottom to top) with side-by-side
+ * doors; handles go near the meeting stiles, or on the right for a single door,
+ * and each door is hinged on its other edge.
+ */
+function addCabinetDoors(carcass, parts, width, bottom, top, count) {
+  const doorWidth = (width - FRONT_GAP * (count + 1)) / count;
+  const height = top - bottom - FRONT_GAP * 2;
+  const y = (bottom + top) / 2;
+  for (let i = 0; i < count; i++) {
+    const x = -width/2 + FRONT_GAP + doorWidth/2 + i * (doorWidth + FRONT_GAP);
+    const handleSide = count === 1 || i === 0 ? 1 : -1;
+    addCabinetFront(carcass, parts, {
+      x, y, width: doorWidth, height,
+      handle: 'vertical', handleX: x + handleSide * (doorWidth/2 - 0.06), handleY: top - FRONT_GAP - 0.15,
+      hinge: handleSide > 0 ? 'left' : 'right'
+    });
+  }
+}
+
+/**
+ * Stacks equal drawers in a frontal area (carcass-relative, bottom to top).
+ */
+function addCabinetDrawers(carcass, parts, width, bottom, top, count) {
+  const height = (top - bottom - FRONT_GAP * (count + 1)) / count;
+  for (let i = 0; i < count; i++) {
+    const y = bottom + FRONT_GAP + height/2 + i * (height + FRONT_GAP);
+    addCabinetFront(carcass, parts, { x: 0, y, width: width - FRONT_GAP * 2, height, handle: 'horizontal', handleY: y + height/4, slide: parts.drawerTravel });
+  }
+}
+
+/**
+ * Builds one base cabinet module as a clickable carcass, centered at local x of its run.
+ */
+function createCabinetModule(module, x, run, ctx, parts) {
+  const { height: cabinetHeight, depth: cabinetDepth, toeKickHeight = 0.15 } = ctx.layout.cabinets;
+  const { type, width } = module;
+  const kind = CABINET_MODULE_TYPES[type];
+  if (!kind) {
+    throw new Error(`Unknown cabinet module type "${type}" in run "${run.id}"`);
+  }
+  // Appliance housings leave an opening under the counter for the appliance
+  const opening = type === 'appliance' ? (module.opening ?? 0.95) : 0;
+  const carcassHeight = cabinetHeight - toeKickHeight - opening;
+  const doors = module.doors ?? (width > 0.6 ? 2 : 1);
+  const drawers = module.drawers ?? (type === 'appliance' ? 1 : 3);
+
+  const counts = { doors: `Doors: ${doors}`, sink: `Doors: ${doors}`, drawers: `Drawers: ${drawers}`, appliance: `Opening: ${opening.toFixed(2)} m` };
+  const specs = [`Width: ${width.toFixed(2)} m`, counts[type], run.details?.specs].filter(Boolean).join(' | ');
+  const name = module.name ?? `${kind.label} ${width.toFixed(2)} m`;
+  const details = module.details ?? { description: `${kind.description} Part of the ${run.name}.`, specs };
+  const carcass = createComponent(new THREE.BoxGeometry(width, carcassHeight, cabinetDepth), parts.body, new THREE.Vector3(x, toeKickHeight + carcassHeight/2, 0), name, details);
+  carcass.userData.cabinetModule = type;
+  carcass.userData.dimensions = { width, height: cabinetHeight, depth: cabinetDepth };
+  carcass.userData.finish = `${parts.body.name} / ${parts.front.name}`;
+
+  // Frontal area in carcass-relative heights
+  const bottom = -carcassHeight/2;
+  const top = carcassHeight/2;
+  if (type === 'doors') {
+    addCabinetDoors(carcass, parts, width, bottom, top, doors);
+  } else if (type === 'drawers' || type === 'appliance') {
+    addCabinetDrawers(carcass, parts, width, bottom, top, drawers);
+  } else if (type === 'sink') {
+    const falseFront = 0.2;
+    addCabinetFront(carcass, parts, { x: 0, y: top - FRONT_GAP - falseFront/2, width: width - FRONT_GAP * 2, height: falseFront });
+    addCabinetDoors(carcass, parts, width, bottom, top - falseFront - FRONT_GAP, doors);
+  } else if (type === 'filler') {
+    addCabinetFront(carcass, parts, { x: 0, y: 0, width, height: carcassHeight });
+  }
+
+  if (opening > 0) {
+    const back = new THREE.Mesh(new THREE.BoxGeometry(width, opening, 0.02), parts.body);
+    back.position.set(0, top + opening/2, -cabinetDepth/2 + 0.01);
+    carcass.add(back);
+  }
+  const toeKick = new THREE.Mesh(new THREE.BoxGeometry(width, toeKickHeight, cabinetDepth - 0.1), parts.toeKick);
+  toeKick.name = 'Toe kick';
+  toeKick.position.set(0, bottom - toeKickHeight/2, -0.05);
+  carcass.add(toeKick);
+  return carcass;
+}
+
+/**
+ * Base cabinet run with countertop and backsplash. Local +X runs along the
+ * cabinets and local +Z faces out of the cabinet fronts.
+ */
+function createCabinetRun(run, ctx) {
+  const { height: cabinetHeight, depth: cabinetDepth, counterThickness } = ctx.layout.cabinets;
+  const counterTopY = cabinetHeight + counterThickness / 2;
+  const group = placeObject(new THREE.Group(), run);
+
+  const parts = {
+    body: resolveMaterial(ctx, run, 'body', 'cabinetBase'),
+    front: resolveMaterial(ctx, run, 'front', 'navy'),
+    handle: resolveMaterial(ctx, run, 'handle', 'brass'),
+    toeKick: resolveMaterial(ctx, run, 'toeKick', 'toeKick'),
+    interior: resolveMaterial(ctx, run, 'interior', 'cabinetInterior'),
+    frontZ: cabinetDepth/2,
+    openAngle: DOOR_OPEN_ANGLE,
+    drawerTravel: cabinetDepth * DRAWER_TRAVEL
+  };
+  let x = -run.length/2;
+  getCabinetModules(run, ctx).forEach((module) => {
+    group.add(createCabinetModule(module, x + module.width/2, run, ctx, parts));
+    x += module.width;
+  });
+
+  if (run.countertop) {
+    const counter = createComponent(new THREE.BoxGeometry(run.length, counterThickness, cabinetDepth), ctx.materials[run.countertop.material], new THREE.Vector3(0, counterTopY, 0), run.countertop.name, run.countertop.details);
+    counter.userData.dimensions = { width: run.length, height: counterThickness, depth: cabinetDepth };
+    group.add(counter);
+  }
+
+  if (run.backsplash) {
+    const { height, thickness, offset, material } = run.backsplash;
+    const backsplash = new THREE.Mesh(new THREE.BoxGeometry(run.length, height, thickness), ctx.materials[material]);
+    backsplash.position.set(0, cabinetHeight + height/2, offset);
+    // Tiled area, picked up by the bill of materials
+    backsplash.userData.tile = { material, width: run.length, height };
+    group.add(backsplash);
+  }
+  // Countertop footprint in local space, used to snap items onto the run
+  group.userData.surface = { halfX: run.length/2, halfZ: cabinetDepth/2, top: cabinetHeight + counterThickness, material: run.countertop?.material };
+  return group;
+}
+
+// Colored wainscot with chair rail and baseboard, mounted on a wall's inner face
+function createWainscot(entry, ctx) {
+  const { length = 11.6, height = 2.0 } = entry.params || {};
+  const group = placeObject(new THREE.Group(), entry);
+  const matTrim = resolveMaterial(ctx, entry, 'trim', 'trim');
+
+  const wainscot = new THREE.Mesh(new THREE.BoxGeometry(0.06, height, length), resolveMaterial(ctx, entry, 'body', 'wainscot'));
+  wainscot.position.set(0.08, height/2, 0);
+  group.add(wainscot);
+  const chairRail = new THREE.Mesh(new THREE.BoxGeometry(0.07, 0.06, length + 0.02), matTrim);
+  chairRail.position.set(0.085, height + 0.03, 0);
+  group.add(chairRail);
+  const baseboard = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.08, length + 0.02), matTrim);
+  baseboard.position.set(0.075, 0.04, 0);
+  group.add(baseboard);
+  return group;
+}
+
+// Decorative tile panel with metal trims above and below
+function createDecorPanel(entry, ctx) {
+  const { width = 2.2, height = 1.1 } = entry.params || {};
+  const group = placeObject(new THREE.Group(), entry);
+  const panel = new THREE.Mesh(new THREE.PlaneGeometry(width, height), resolveMaterial(ctx, entry, 'body', 'tiling'));
+  group.add(panel);
+  group.userData.tile = { material: panel.material.name, width, height };
+  const matTrim = resolveMaterial(ctx, entry, 'trim', 'trim');
+  [height/2, -height/2].forEach((y) => {
+    const trim = new THREE.Mesh(new THREE.BoxGeometry(width, 0.03, 0.02), matTrim);
+    trim.position.set(0, y, 0.004);
+    group.add(trim);
+  });
+  return group;
+}
+
+// Plain box used for bands, strips and other simple decor
+function createBox(entry, ctx) {
+  const { size = [1, 1, 1] } = entry.params || {};
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(...size), resolveMaterial(ctx, entry, 'body', 'trim'));
+  return placeObject(mesh, entry);
+}
+
+function createDoor(entry, ctx) {
+  const group = new THREE.Group();
+  const doorFrameGeo = new THREE.BoxGeometry(1.2, 2.5, 0.15);
+  // Use contrasting door color
+  const doorFrame = new THREE.Mesh(doorFrameGeo, resolveMaterial(ctx, entry, 'body', 'doorAccent'));
+  doorFrame.name = 'Door leaf';
+
+  const doorGlassGeo = new THREE.BoxGeometry(0.8, 1.2, 0.05);
+  const doorGlass = new THREE.Mesh(doorGlassGeo, resolveMaterial(ctx, entry, 'glass', 'windowFrame'));
+  doorGlass.name = 'Glass';
+  doorGlass.position.y = 0.4;
+  doorGlass.position.z = 0.02;
+  doorFrame.add(doorGlass);
+
+  // Add lower inset panels for realism
+  const panelMat = resolveMaterial(ctx, entry, 'panel', 'doorPanel');
+  const panelGeo = new THREE.BoxGeometry(0.45, 0.5, 0.02);
+  const panel1 = new THREE.Mesh(panelGeo, panelMat);
+  panel1.name = 'Panel';
+  panel1.position.set(0, -0.35, 0.06);
+  doorFrame.add(panel1);
+  const panel2 = new THREE.Mesh(panelGeo, panelMat);
+  panel2.name = 'Panel';
+  panel2.position.set(0, -0.95, 0.06);
+  doorFrame.add(panel2);
+
+  // Add a brass handle and backplate
+  const matBrass = resolveMaterial(ctx, entry, 'handle', 'brass');
+  const backPlate = new THREE.Mesh(new THREE.BoxGeometry(0.08, 0.28, 0.01), matBrass);
+  backPlate.name = 'Handle';
+  backPlate.position.set(0.45, 0.0, 0.07);
+  doorFrame.add(backPlate);
+  const handle = new THREE.Mesh(new THREE.CylinderGeometry(0.012, 0.012, 0.25, 16), matBrass);
+  handle.name = 'Handle';
+  handle.rotation.z = Math.PI/2;
+  handle.position.set(0.45, 0.0, 0.085);
+  doorFrame.add(handle);
+
+  group.add(doorFrame);
+  placeObject(group, entry);
+  markComponent(group, entry);
+  return group;
+}
+
+function createWindow(entry, ctx) {
+  const p = entry.params || {};
+  const group = new THREE.Group();
+  const frameThickness = p.frameThickness ?? 0.1;
+  const windowWidth = p.width ?? 2.5;
+  const windowHeight = p.height ?? 4;
+  const columns = p.columns ?? 3;
+  const rows = p.rows ?? 4;
+  const matWindowFrame = resolveMaterial(ctx, entry, 'body', 'windowFrame');
+
+  // Main frame
+  const mainFrame = new THREE.Mesh(new THREE.BoxGeometry(windowWidth, windowHeight, 0.1), matWindowFrame);
+  mainFrame.name = 'Frame';
+  group.add(mainFrame);
+
+  // Panes (as cutouts, simulated by adding smaller dark boxes)
+  const paneMat = resolveMaterial(ctx, entry, 'pane', 'windowPane');
+  const paneWidth = (windowWidth - frameThickness * (columns + 1)) / columns;
+  const paneHeight = (windowHeight - frameThickness * (rows + 1)) / rows;
+
+  for (let i = 0; i < columns; i++) {
+    for (let j = 0; j < rows; j++) {
+      const pane = new THREE.Mesh(new THREE.BoxGeometry(paneWidth, paneHeight, 0.05), paneMat);
+      pane.name = 'Pane';
+      pane.position.x = -windowWidth/2 + frameThickness + paneWidth/2 + i * (paneWidth + frameThickness);
+      pane.position.y = -windowHeight/2 + frameThickness + paneHeight/2 + j * (paneHeight + frameThickness);
+      pane.position.z = 0.06;
+      mainFrame.add(pane);
+    }
+  }
+
+  placeObject(group, entry);
+  markComponent(group, entry);
+  return group;
+}
+
+// --- Appliances and Fixtures ---
+
+function createCooktop(entry, ctx) {
+  const { width = 1.6, depth = 1.0 } = entry.params || {};
+  const cooktop = createComponent(new THREE.BoxGeometry(width, 0.02, depth), resolveMaterial(ctx, entry, 'body', 'cooktop'), new THREE.Vector3(), entry.name, entry.details);
+  // Add four burner rings
+  const burnerMat = resolveMaterial(ctx, entry, 'burner', 'burner');
+  const ringGeo = new THREE.TorusGeometry(0.18, 0.01, 10, 40);
+  const ringPositions = [
+    [-0.35, -0.28], [0.35, -0.28],
+    [-0.35,  0.28], [0.35,  0.28]
+  ];
+  ringPositions.forEach(([dx, dz]) => {
+    const ring = new THREE.Mesh(ringGeo, burnerMat);
+    ring.name = 'Burner';
+    ring.rotation.x = -Math.PI/2;
+    ring.position.set(dx, 0.01, dz);
+    ring.castShadow = true;
+    cooktop.add(ring);
+  });
+
+  // Pan on cooktop
+  const pan = new THREE.Mesh(new THREE.CylinderGeometry(0.2, 0.2, 0.05, 32), resolveMaterial(ctx, entry, 'pan', 'pan'));
+  pan.name = 'Pan';
+  pan.position.set(0, 0.04, 0.5);
+  cooktop.add(pan);
+  return placeObject(cooktop, entry);
+}
+
+function createRangeHood(entry, ctx) {
+  const { width = 1.5, height = 1.0, depth = 0.8, chimneyHeight = 2.5 } = entry.params || {};
+  const matAppliance = resolveMaterial(ctx, entry, 'body', 'appliance');
+  const hood = createComponent(new THREE.BoxGeometry(width, height, depth), matAppliance, new THREE.Vector3(), entry.name, entry.details);
+  const chimney = new THREE.Mesh(new THREE.BoxGeometry(0.4, chimneyHeight, 0.4), matAppliance);
+  chimney.name = 'Chimney';
+  chimney.position.set(0, height/2 + chimneyHeight/2, 0);
+  hood.add(chimney);
+  return placeObject(hood, entry);
+}
+
+function createOven(entry, ctx) {
+  const { size = 0.9 } = entry.params || {};
+  const matBody = resolveMaterial(ctx, entry, 'body', 'appliance');
+  const oven = createComponent(new THREE.BoxGeometry(size, size, size), matBody, new THREE.Vector3(), entry.name, entry.details);
+  // Dark cavity behind the door
+  const doorHeight = size - 0.2;
+  const cavity = new THREE.Mesh(new THREE.BoxGeometry(size - 0.1, doorHeight - 0.05, 0.002), resolveMaterial(ctx, entry, 'cavity', 'applianceBlack'));
+  cavity.name = 'Cavity';
+  cavity.position.set(0, -size/2 + 0.02 + doorHeight/2, size/2 + 0.001);
+  oven.add(cavity);
+  // Drop-down door hinged on its bottom edge
+  const door = createArticulation(oven, new THREE.Vector3(0, -size/2 + 0.02, size/2), { type: 'hinge', axis: 'x', angle: THREE.MathUtils.degToRad(85) });
+  door.name = 'Door';
+  const doorPanel = new THREE.Mesh(new THREE.BoxGeometry(size - 0.04, doorHeight, 0.02), matBody);
+  doorPanel.position.set(0, doorHeight/2, 0.01);
+  door.add(doorPanel);
+  const ovenGlass = new THREE.Mesh(new THREE.BoxGeometry(0.7, 0.4, 0.02), resolveMaterial(ctx, entry, 'glass', 'glass'));
+  ovenGlass.position.set(0, doorHeight/2 - 0.03, 0.021);
+  door.add(ovenGlass);
+  const ovenHandle = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 0.5, 16), resolveMaterial(ctx, entry, 'handle', 'chrome'));
+  ovenHandle.name = 'Handle';
+  ovenHandle.rotation.z = Math.PI/2;
+  ovenHandle.position.set(0, doorHeight - 0.05, 0.05);
+  door.add(ovenHandle);
+  oven.userData.dimensions = { width: size, height: size, depth: size };
+  return placeObject(oven, entry);
+}
+
+// Upper cabinet with navy doors and brass handles
+function createUpperCabinet(entry, ctx) {
+  const { width = 2, height = 1.2, depth = 1 } = entry.params || {};
+  const cabinet = createComponent(new THREE.BoxGeometry(width, height, depth), resolveMaterial(ctx, entry, 'body', 'cabinetUpper'), new THREE.Vector3(), entry.name, entry.details);
+  const doorThickness = 0.03;
+  const doorWidth = (width - 0.1) / 2;
+  const doorHeight = height - 0.15;
+  const matDoor = resolveMaterial(ctx, entry, 'door', 'navy');
+  const matHandle = resolveMaterial(ctx, entry, 'handle', 'brass');
+  [-1, 1].forEach((side) => {
+    // Each door hinges on its outer edge
+    const hingeX = side * (doorWidth + 0.025);
+    const hinge = createArticulation(cabinet, new THREE.Vector3(hingeX, 0, depth/2), { type: 'hinge', axis: 'y', angle: THREE.MathUtils.degToRad(DOOR_OPEN_ANGLE) * side });
+    hinge.name = 'Door';
+    const door = new THREE.Mesh(new THREE.BoxGeometry(doorWidth, doorHeight, doorThickness), matDoor);
+    door.position.set(-side * doorWidth/2, 0, 0.02);
+    hinge.add(door);
+    // Handles sit next to the meeting stiles
+    const handle = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.14, 12), matHandle);
+    handle.rotation.z = Math.PI/2;
+    handle.name = 'Handle';
+    handle.position.set(door.position.x - side * (doorWidth/2 - 0.055), 0, 0.06);
+    hinge.add(handle);
+  });
+  cabinet.userData.dimensions = { width, height, depth };
+  return placeObject(cabinet, entry);
+}
+
+// Wall-mounted drinking water purifier
+function createWaterPurifier(entry, ctx) {
+  const purifier = new THREE.Group();
+  const bodyMat = resolveMaterial(ctx, entry, 'body', 'applianceWhite'); // clean white body
+  const accentMat = resolveMaterial(ctx, entry, 'accent', 'navy');       // navy accent band
+  const tankMat = resolveMaterial(ctx, entry, 'tank', 'purifierTank');   // translucent tank window
+
+  const body = new THREE.Mesh(new THREE.BoxGeometry(0.8, 1.0, 0.25), bodyMat);
+  body.name = 'Body';
+  purifier.add(body);
+  // front accent band
+  const band = new THREE.Mesh(new THREE.BoxGeometry(0.82, 0.08, 0.02), accentMat);
+  band.name = 'Accent band';
+  band.position.set(0, 0.38, 0.14);
+  purifier.add(band);
+  // tank window
+  const tank = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.6, 0.02), tankMat);
+  tank.name = 'Tank window';
+  tank.position.set(0, 0.0, 0.14);
+  purifier.add(tank);
+  // outlet nozzle and drip tray
+  const nozzle = new THREE.Mesh(new THREE.CylinderGeometry(0.015, 0.015, 0.15, 12), resolveMaterial(ctx, entry, 'nozzle', 'chrome'));
+  nozzle.name = 'Nozzle';
+  nozzle.rotation.x = Math.PI/2;
+  nozzle.position.set(0.22, -0.22, 0.14);
+  purifier.add(nozzle);
+  const tray = new THREE.Mesh(new THREE.BoxGeometry(0.25, 0.03, 0.12), resolveMaterial(ctx, entry, 'tray', 'applianceBlack'));
+  tray.name = 'Drip tray';
+  tray.position.set(0.22, -0.33, 0.12);
+  purifier.add(tray);
+
+  placeObject(purifier, entry);
+  markComponent(purifier, entry);
+  return purifier;
+}
+
+// Coffee maker with carafe, drip tray, buttons and display
+function createCoffeeMaker(entry, ctx) {
+  const matBody = resolveMaterial(ctx, entry, 'body', 'applianceBlack');
+  const matGlass = resolveMaterial(ctx, entry, 'glass', 'glass');
+  const matChrome = resolveMaterial(ctx, entry, 'grill', 'chrome');
+  const coffeeMaker = createComponent(new THREE.BoxGeometry(0.4, 0.6, 0.5), matBody, new THREE.Vector3(), entry.name, entry.details);
+  const baseY = -0.3; // counter surface relative to the body centre
+
+  const carafe = new THREE.Mesh(new THREE.CylinderGeometry(0.16, 0.16, 0.18, 24), matGlass);
+  carafe.name = 'Carafe';
+  carafe.position.set(0, baseY + 0.09, 0.08);
+  coffeeMaker.add(carafe);
+  const carafeBase = new THREE.Mesh(new THREE.CylinderGeometry(0.17, 0.17, 0.02, 24), matBody);
+  carafeBase.position.set(0, baseY + 0.01, 0.08);
+  coffeeMaker.add(carafeBase);
+  const carafeLid = new THREE.Mesh(new THREE.CylinderGeometry(0.17, 0.17, 0.02, 24), matBody);
+  carafeLid.position.set(0, baseY + 0.19, 0.08);
+  coffeeMaker.add(carafeLid);
+  const carafeHandle = new THREE.Mesh(new THREE.TorusGeometry(0.14, 0.02, 10, 24, Math.PI/1.2), matBody);
+  carafeHandle.rotation.y = Math.PI/2;
+  carafeHandle.position.set(0.17, baseY + 0.12, 0.08);
+  coffeeMaker.add(carafeHandle);
+  const cmSpout = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.05, 0.08), matBody);
+  cmSpout.position.set(0, baseY + 0.19, 0.2);
+  coffeeMaker.add(cmSpout);
+  // Drip tray with grill lines
+  const tray = new THREE.Mesh(new THREE.BoxGeometry(0.28, 0.02, 0.16), matBody);
+  tray.name = 'Drip tray';
+  tray.position.set(0, baseY + 0.02, 0.18);
+  coffeeMaker.add(tray);
+  for (let i = -2; i <= 2; i++) {
+    const bar = new THREE.Mesh(new THREE.BoxGeometry(0.26, 0.005, 0.01), matChrome);
+    bar.position.set(0, baseY + 0.03, 0.18 + i*0.02);
+    coffeeMaker.add(bar);
+  }
+  const cmDisplay = new THREE.Mesh(new THREE.BoxGeometry(0.12, 0.04, 0.01), resolveMaterial(ctx, entry, 'display', 'displayGreen'));
+  cmDisplay.position.set(0, baseY + 0.25, 0.24);
+  coffeeMaker.add(cmDisplay);
+  const buttonMats = ['accentRed', 'accentYellow', 'accentBlue'].map(key => ctx.materials[key]);
+  for (let i = 0; i < 3; i++) {
+    const btn = new THREE.Mesh(new THREE.SphereGeometry(0.02, 10, 8), buttonMats[i]);
+    btn.position.set(-0.09 + i * 0.09, baseY + 0.22, 0.24);
+    coffeeMaker.add(btn);
+  }
+  return placeObject(coffeeMaker, entry);
+}
+
+// Row of cans on a shelf
+function createCanRow(entry, ctx) {
+  const { count = 5, spacing = 0.25 } = entry.params || {};
+  const clutterGroup = placeObject(new THREE.Group(), entry);
+  const matCan = resolveMaterial(ctx, entry, 'body', 'clutterRed');
+  for (let i = 0; i < count; i++) {
+    const can = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 0.3, 12), matCan);
+    can.position.set(i * spacing, 0, 0);
+    can.castShadow = true;
+    clutterGroup.add(can);
+  }
+  return clutterGroup;
+}
+
+// Sink + gooseneck faucet, positioned at the counter surface
+function createSink(entry, ctx) {
+  const group = placeObject(new THREE.Group(), entry);
+  const matChrome = resolveMaterial(ctx, entry, 'faucet', 'chrome');
+  const sinkOuter = new THREE.Mesh(new THREE.BoxGeometry(0.9, 0.1, 0.55), resolveMaterial(ctx, entry, 'rim', 'granite'));
+  sinkOuter.position.set(0, 0.04, 0);
+  group.add(sinkOuter);
+  const sinkBasin = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.18, 0.45), resolveMaterial(ctx, entry, 'body', 'appliance'));
+  sinkBasin.position.set(0, -0.05, 0);
+  group.add(sinkBasin);
+  const sinkWater = new THREE.Mesh(new THREE.BoxGeometry(0.78, 0.04, 0.43), resolveMaterial(ctx, entry, 'water', 'glass'));
+  sinkWater.position.set(0, -0.02, 0);
+  group.add(sinkWater);
+  // Faucet (gooseneck)
+  const tapBase = new THREE.Mesh(new THREE.CylinderGeometry(0.04, 0.04, 0.12, 16), matChrome);
+  tapBase.position.set(-0.25, 0.06, -0.15);
+  group.add(tapBase);
+  const tapNeck = new THREE.Mesh(new THREE.TorusGeometry(0.18, 0.025, 12, 24, Math.PI), matChrome);
+  tapNeck.rotation.z = Math.PI/2;
+  tapNeck.position.set(-0.25, 0.28, -0.15);
+  group.add(tapNeck);
+  const tapSpout = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, 0.15, 12), matChrome);
+  tapSpout.rotation.x = Math.PI/2;
+  tapSpout.position.set(-0.07, 0.28, -0.15);
+  group.add(tapSpout);
+  return group;
+}
+
+// --- Small countertop appliances and accessories ---
+
+function createToaster(entry, ctx) {
+  const toaster = createComponent(new THREE.BoxGeometry(0.35, 0.25, 0.22), resolveMaterial(ctx, entry, 'body', 'accentYellow'), new THREE.Vector3(), entry.name, entry.details);
+  return placeObject(toaster, entry);
+}
+
+function createKettle(entry, ctx) {
+  const kettle = createComponent(new THREE.CylinderGeometry(0.12, 0.12, 0.22, 24), resolveMaterial(ctx, entry, 'body', 'accentBlue'), new THREE.Vector3(), entry.name, entry.details);
+  const kettleLid = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, 0.02, 24), resolveMaterial(ctx, entry, 'lid', 'appliance'));
+  kettleLid.position.set(0, 0.12, 0);
+  kettle.add(kettleLid);
+  const kettleHandle = new THREE.Mesh(new THREE.TorusGeometry(0.12, 0.02, 12, 24, Math.PI), resolveMaterial(ctx, entry, 'handle', 'pan'));
+  kettleHandle.rotation.y = Math.PI/2;
+  kettleHandle.position.set(0.05, 0.05, -0.1);
+  kettle.add(kettleHandle);
+  return placeObject(kettle, entry);
+}
+
+function createSpiceRack(entry, ctx) {
+  const { count = 5, spacing = 0.16 } = entry.params || {};
+  const spiceGroup = placeObject(new THREE.Group(), entry);
+  const jarMats = ['accentRed', 'accentGreen', 'accentYellow', 'accentBlue', 'applianceWhite'].map(key => ctx.materials[key]);
+  for (let i = 0; i < count; i++) {
+    const jar = new THREE.Mesh(new THREE.CylinderGeometry(0.06, 0.06, 0.12, 12), jarMats[i % jarMats.length]);
+    jar.position.set(i * spacing, 0, 0);
+    jar.castShadow = true;
+    spiceGroup.add(jar);
+  }
+  return spiceGroup;
+}
+
+function createUtensilHolder(entry, ctx) {
+  const group = placeObject(new THREE.Group(), entry);
+  const holder = new THREE.Mesh(new THREE.CylinderGeometry(0.09, 0.09, 0.15, 16), resolveMaterial(ctx, entry, 'body', 'woodDark'));
+  group.add(holder);
+  const matUtensil = resolveMaterial(ctx, entry, 'utensil', 'chrome');
+  for (let i = 0; i < 3; i++) {
+    const utensil = new THREE.Mesh(new THREE.CylinderGeometry(0.01, 0.01, 0.22 + 0.04*i, 8), matUtensil);
+    utensil.position.set((i - 1) * 0.03, 0.125, 0);
+    group.add(utensil);
+  }
+  return group;
+}
+
+// Bowl of fruit, scattered from a seeded sequence (params `seed`, by default the entry id) so it stays put across loads
+function createFruitBowl(entry, ctx) {
+  const { count = 5, seed = entry.id } = entry.params || {};
+  const random = createRandom(seed);
+  const group = placeObject(new THREE.Group(), entry);
+  const bowl = new THREE.Mesh(new THREE.SphereGeometry(0.18, 24, 16, 0, Math.PI*2, 0, Math.PI/2), resolveMaterial(ctx, entry, 'body', 'woodDark'));
+  bowl.rotation.x = Math.PI; // concave up
+  group.add(bowl);
+  for (let i = 0; i < count; i++) {
+    const fruit = new THREE.Mesh(new THREE.SphereGeometry(0.07, 16, 12), ctx.materials[i%2 ? 'fruitYellow' : 'fruitRed']);
+    fruit.position.set((random()-0.5)*0.25, 0, (random()-0.5)*0.25);
+    group.add(fruit);
+  }
+  return group;
+}
+
+// --- Island, Dining Table and Seating ---
+
+function createIsland(entry, ctx) {
+  const { width: islandWidth = 1.0, depth: islandDepth = 2.0, height: islandHeight = 1.4 } = entry.params || {};
+  const group = new THREE.Group();
+  const matBody = resolveMaterial(ctx, entry, 'body', 'cabinetBase');
+
+  const islandBody = new THREE.Mesh(new THREE.BoxGeometry(islandWidth, islandHeight, islandDepth), matBody);
+  islandBody.name = 'Cabinet';
+  islandBody.position.y = islandHeight/2;
+
+  const matTop = resolveMaterial(ctx, entry, 'top', 'granite');
+  const islandCounter = new THREE.Mesh(new THREE.BoxGeometry(islandWidth, 0.1, islandDepth), matTop);
+  islandCounter.name = 'Countertop';
+  islandCounter.position.y = islandHeight/2 + 0.05;
+  islandBody.add(islandCounter);
+
+  // Wine Rack; the bottle holes stand a hair proud of the sides so they draw and pick over the body
+  const holeGeo = new THREE.CylinderGeometry(0.1, 0.1, islandWidth + 0.01, 12);
+  const holeMat = resolveMaterial(ctx, entry, 'wineRack', 'wineRackHole');
+  for (let i = 0; i < 3; i++) {
+    for (let j = 0; j < 4; j++) {
+      const hole = new THREE.Mesh(holeGeo, holeMat);
+      hole.name = 'Wine rack';
+      hole.rotation.z = Math.PI/2;
+      hole.position.z = islandDepth/2 - 0.3 - j * 0.3;
+      hole.position.y = islandHeight/2 - 0.3 - i * 0.3;
+      islandBody.add(hole);
+    }
+  }
+  group.add(islandBody);
+
+  // Cutting board
+  const board = new THREE.Mesh(new THREE.BoxGeometry(0.8, 0.05, 0.5), resolveMaterial(ctx, entry, 'board', 'woodDark'));
+  board.name = 'Cutting board';
+  board.position.set(0, islandHeight + 0.1, 0.2);
+  group.add(board);
+
+  placeObject(group, entry);
+  markComponent(group, entry);
+  group.userData.surface = { halfX: islandWidth/2, halfZ: islandDepth/2, top: islandHeight + 0.1, material: matTop.name };
+  return group;
+}
+
+// Round wood seat, black metal legs and chrome footrest ring
+function createBarStool(entry, ctx) {
+  const group = new THREE.Group();
+  const matSeat = resolveMaterial(ctx, entry, 'seat', 'counter');
+  // Round wood seat
+  const seat = new THREE.Mesh(new THREE.CylinderGeometry(0.23, 0.23, 0.06, 24), matSeat);
+  seat.name = 'Seat';
+  seat.position.y = 1.0;
+  group.add(seat);
+  // Metal legs
+  const legMat = resolveMaterial(ctx, entry, 'legs', 'applianceBlack');
+  const legH = 1.0;
+  const legR = 0.02;
+  const legPositions = [
+    [ 0.16,  0.16],
+    [-0.16,  0.16],
+    [ 0.16, -0.16],
+    [-0.16, -0.16]
+  ];
+  legPositions.forEach(([dx, dz]) => {
+    const leg = new THREE.Mesh(new THREE.CylinderGeometry(legR, legR, legH, 12), legMat);
+    leg.name = 'Leg';
+    leg.position.set(dx, legH/2, dz);
+    group.add(leg);
+  });
+  // Footrest ring
+  const ring = new THREE.Mesh(new THREE.TorusGeometry(0.19, 0.012, 10, 24), resolveMaterial(ctx, entry, 'footrest', 'chrome'));
+  ring.name = 'Footrest';
+  ring.rotation.x = Math.PI/2;
+  ring.position.y = 0.38;
+  group.add(ring);
+  // Rubber feet caps
+  legPositions.forEach(([dx, dz]) => {
+    const cap = new THREE.Mesh(new THREE.CylinderGeometry(0.022, 0.022, 0.02, 12), ctx.materials.applianceBlack);
+    cap.name = 'Foot cap';
+    cap.position.set(dx, 0.01, dz);
+    group.add(cap);
+  });
+
+  placeObject(group, entry);
+  markComponent(group, entry);
+  return group;
+}
+
+function createDiningTable(entry, ctx) {
+  const { width = 2.4, depth = 1.1, height = 0.9 } = entry.params || {};
+  const group = new THREE.Group();
+  const tableTop = new THREE.Mesh(new THREE.BoxGeometry(width, 0.08, depth), resolveMaterial(ctx, entry, 'top', 'tableTop'));
+  tableTop.name = 'Tabletop';
+  tableTop.position.y = height;
+  group.add(tableTop);
+
+  // legs
+  const legGeo = new THREE.BoxGeometry(0.08, height, 0.08);
+  const legMat = resolveMaterial(ctx, entry, 'legs', 'woodDark');
+  const legX = width/2 - 0.1;
+  const legZ = depth/2 - 0.1;
+  const legOffsets = [
+    [-legX, -legZ], [legX, -legZ],
+    [-legX,  legZ], [legX,  legZ]
+  ];
+  legOffsets.forEach(([dx, dz]) => {
+    const leg = new THREE.Mesh(legGeo, legMat);
+    leg.name = 'Leg';
+    leg.position.set(dx, height/2, dz);
+    group.add(leg);
+  });
+
+  placeObject(group, entry);
+  markComponent(group, entry);
+  return group;
+}
+
+// Dining chair; local -Z is the backrest, so rotate the entry to face the table
+function createDiningChair(entry, ctx) {
+  const group = new THREE.Group();
+  const matSeat = resolveMaterial(ctx, entry, 'seat', 'chairSeat');
+  const seat = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.06, 0.5), matSeat);
+  seat.name = 'Seat';
+  seat.position.y = 0.5;
+  group.add(seat);
+
+  const back = new THREE.Mesh(new THREE.BoxGeometry(0.5, 0.7, 0.06), matSeat);
+  back.name = 'Backrest';
+  back.position.set(0, 0.9, -0.22);
+  group.add(back);
+
+  const legMat = resolveMaterial(ctx, entry, 'legs', 'woodDark');
+  const legGeo = new THREE.BoxGeometry(0.06, 0.5, 0.06);
+  const legs = [
+    [-0.2, -0.2], [0.2, -0.2], [-0.2, 0.2], [0.2, 0.2]
+  ];
+  legs.forEach(([dx, dz]) => {
+    const leg = new THREE.Mesh(legGeo, legMat);
+    leg.name = 'Leg';
+    leg.position.set(dx, 0.25, dz);
+    group.add(leg);
+  });
+
+  placeObject(group, entry);
+  markComponent(group, entry);
+  return group;
+}
+
+// --- Freestanding Appliances, Tall Cabinets and Shelving ---
+// Parametric items offered by the catalog panel (catalog.js). Floor-standing
+// items have their origin in the middle of their base and their fronts on
+// local +Z, and use the cabinet module fronts, so their doors and drawers open.
+
+/**
+ * Adds a long bar handle at (x, y) on a carcass front to a front returned by
+ * addCabinetFront, for doors taller than the standard handle suits.
+ */
+function addFrontBar(front, carcass, parts, { x, y, length, horizontal = false }) {
+  const origin = front === carcass ? new THREE.Vector3() : front.position;
+  const bar = new THREE.Mesh(new THREE.CylinderGeometry(0.02, 0.02, length, 12), parts.handle);
+  bar.name = 'Handle';
+  if (horizontal) bar.rotation.z = Math.PI/2;
+  bar.position.set(x - origin.x, y - origin.y, parts.frontZ + FRONT_THICKNESS + 0.04 - origin.z);
+  bar.castShadow = true;
+  front.add(bar);
+}
+
+// Bottom-freezer refrigerator: a hinged fridge door over a pull-out freezer drawer
+function createRefrigerator(entry, ctx) {
+  const { width = 1.4, height = 3.4, depth = 1.9, freezerHeight = 1.1, capacity = 520, energy = 320 } = entry.params || {};
+  const group = new THREE.Group();
+  const matBody = resolveMaterial(ctx, entry, 'body', 'appliance');
+  const plinth = 0.1;
+  const cabinet = new THREE.Mesh(new THREE.BoxGeometry(width, height - plinth, depth), matBody);
+  cabinet.name = 'Cabinet';
+  cabinet.position.y = plinth + (height - plinth)/2;
+  group.add(cabinet);
+  const grille = new THREE.Mesh(new THREE.BoxGeometry(width, plinth, depth - 0.05), resolveMaterial(ctx, entry, 'plinth', 'applianceBlack'));
+  grille.name = 'Grille';
+  grille.position.set(0, plinth/2, -0.025);
+  group.add(grille);
+
+  const parts = {
+    front: matBody,
+    handle: resolveMaterial(ctx, entry, 'handle', 'chrome'),
+    interior: resolveMaterial(ctx, entry, 'interior', 'applianceWhite'),
+    frontZ: depth/2,
+    openAngle: DOOR_OPEN_ANGLE,
+    drawerTravel: depth * DRAWER_TRAVEL
+  };
+  // Carcass-relative heights: the freezer drawer below, the fridge door above
+  const bottom = -(height - plinth)/2;
+  const top = (height - plinth)/2;
+  const split = bottom + freezerHeight;
+  const drawer = addCabinetFront(cabinet, parts, { x: 0, y: (bottom + split)/2, width: width - FRONT_GAP * 2, height: freezerHeight - FRONT_GAP * 2, slide: parts.drawerTravel });
+  addFrontBar(drawer, cabinet, parts, { x: 0, y: split - 0.15, length: width * 0.6, horizontal: true });
+  const door = addCabinetFront(cabinet, parts, { x: 0, y: (split + top)/2, width: width - FRONT_GAP * 2, height: top - split - FRONT_GAP * 2, hinge: 'left' });
+  const handleLength = Math.min(1.2, (top - split) * 0.5);
+  addFrontBar(door, cabinet, parts, { x: width/2 - 0.12, y: split + 0.2 + handleLength/2, length: handleLength });
+
+  const specs = [`Capacity: ${capacity} L`, `Energy use: ${energy} kWh/year`, entry.details?.specs].filter(Boolean).join(' | ');
+  const details = { description: entry.details?.description ?? 'Bottom-freezer refrigerator.', specs };
+  placeObject(group, entry);
+  markComponent(group, { ...entry, details });
+  group.userData.dimensions = { width, height, depth };
+  return group;
+}
+
+// Dishwasher with a drop-down door; by default as tall as the base cabinets and their countertop
+function createDishwasher(entry, ctx) {
+  const { height: cabinetHeight, depth: cabinetDepth, counterThickness, toeKickHeight = 0.15 } = ctx.layout.cabinets;
+  const { width = 1.05, height = cabinetHeight + counterThickness, depth = cabinetDepth, placeSettings = 14, noise = 44 } = entry.params || {};
+  const group = new THREE.Group();
+  const matBody = resolveMaterial(ctx, entry, 'body', 'appliance');
+  const tubHeight = height - toeKickHeight;
+  const tub = new THREE.Mesh(new THREE.BoxGeometry(width, tubHeight, depth), matBody);
+  tub.name = 'Tub';
+  tub.position.y = toeKickHeight + tubHeight/2;
+  group.add(tub);
+  const toeKick = new THREE.Mesh(new THREE.BoxGeometry(width, toeKickHeight, depth - 0.1), resolveMaterial(ctx, entry, 'toeKick', 'toeKick'));
+  toeKick.name = 'Toe kick';
+  toeKick.position.set(0, toeKickHeight/2, -0.05);
+  group.add(toeKick);
+
+  const parts = {
+    front: matBody,
+    handle: resolveMaterial(ctx, entry, 'handle', 'chrome'),
+    interior: resolveMaterial(ctx, entry, 'interior', 'trim'),
+    frontZ: depth/2,
+    openAngle: 85
+  };
+  // Control strip across the top, the door below it
+  const panelHeight = 0.15;
+  const top = tubHeight/2;
+  const doorTop = top - panelHeight;
+  addCabinetFront(tub, parts, {
+    x: 0, y: (doorTop - top)/2, width: width - FRONT_GAP * 2, height: doorTop + top - FRONT_GAP * 2,
+    handle: 'horizontal', handleY: doorTop - 0.1, hinge: 'bottom'
+  });
+  const panel = new THREE.Mesh(new THREE.BoxGeometry(width - FRONT_GAP * 2, panelHeight - FRONT_GAP, FRONT_THICKNESS), resolveMaterial(ctx, entry, 'panel', 'applianceBlack'));
+  panel.name = 'Control panel';
+  panel.position.set(0, top - panelHeight/2, depth/2 + FRONT_THICKNESS/2);
+  tub.add(panel);
+  const display = new THREE.Mesh(new THREE.BoxGeometry(0.2, 0.04, 0.005), resolveMaterial(ctx, entry, 'display', 'displayGreen'));
+  display.position.set(width/2 - 0.2, top - panelHeight/2, depth/2 + FRONT_THICKNESS + 0.003);
+  tub.add(display);
+
+  const specs = [`Place settings: ${placeSettings}`, `Noise: ${noise} dB`, entry.details?.specs].filter(Boolean).join(' | ');
+  const details = { description: entry.details?.description ?? 'Dishwasher sized to stand in line with the base cabinets.', specs };
+  placeObject(group, entry);
+  markComponent(group, { ...entry, details });
+  group.userData.dimensions = { width, height, depth };
+  return group;
+}
+
+// Countertop microwave: side-hinged door with a window, control panel on the right
+function createMicrowave(entry, ctx) {
+  const { width = 0.9, height = 0.5, depth = 0.65, power = 900, capacity = 25 } = entry.params || {};
+  const specs = [`Power: ${power} W`, `Capacity: ${capacity} L`, entry.details?.specs].filter(Boolean).join(' | ');
+  const details = { description: entry.details?.description ?? 'Countertop microwave oven.', specs };
+  const matBody = resolveMaterial(ctx, entry, 'body', 'applianceBlack');
+  const microwave = createComponent(new THREE.BoxGeometry(width, height, depth), matBody, new THREE.Vector3(), entry.name, details);
+
+  const parts = { front: matBody, interior: resolveMaterial(ctx, entry, 'cavity', 'applianceWhite'), frontZ: depth/2, openAngle: DOOR_OPEN_ANGLE };
+  const panelWidth = Math.min(0.25, width * 0.3);
+  const doorWidth = width - panelWidth - FRONT_GAP * 2;
+  const door = addCabinetFront(microwave, parts, { x: -width/2 + FRONT_GAP + doorWidth/2, y: 0, width: doorWidth, height: height - FRONT_GAP * 2, hinge: 'left' });
+  const pane = new THREE.Mesh(new THREE.BoxGeometry(doorWidth * 0.7, height * 0.6, 0.01), resolveMaterial(ctx, entry, 'glass', 'glass'));
+  pane.name = 'Window';
+  pane.position.set(doorWidth * 0.45, 0, FRONT_THICKNESS + 0.005);
+  door.add(pane);
+
+  const panel = new THREE.Mesh(new THREE.BoxGeometry(panelWidth - FRONT_GAP, height - FRONT_GAP * 2, FRONT_THICKNESS), resolveMaterial(ctx, entry, 'panel', 'trim'));
+  panel.name = 'Control panel';
+  panel.position.set(width/2 - panelWidth/2, 0, depth/2 + FRONT_THICKNESS/2);
+  microwave.add(panel);
+  const display = new THREE.Mesh(new THREE.BoxGeometry(panelWidth * 0.6, 0.05, 0.005), resolveMaterial(ctx, entry, 'display', 'displayGreen'));
+  display.position.set(panel.position.x, height/2 - 0.1, depth/2 + FRONT_THICKNESS + 0.003);
+  microwave.add(display);
+  const dial = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, 0.03, 20), resolveMaterial(ctx, entry, 'dial', 'chrome'));
+  dial.name = 'Dial';
+  dial.rotation.x = Math.PI/2;
+  dial.position.set(panel.position.x, -0.05, depth/2 + FRONT_THICKNESS + 0.015);
+  microwave.add(dial);
+
+  microwave.userData.dimensions = { width, height, depth };
+  return placeObject(microwave, entry);
+}
+
+// Tall pantry cabinet on a toe kick, its doors split at base cabinet height
+function createPantry(entry, ctx) {
+  const { height: cabinetHeight, depth: cabinetDepth, toeKickHeight = 0.15 } = ctx.layout.cabinets;
+  const { width = 1.0, height = 4.4, depth = cabinetDepth, shelves = 5 } = entry.params || {};
+  const group = new THREE.Group();
+  const parts = {
+    body: resolveMaterial(ctx, entry, 'body', 'cabinetBase'),
+    front: resolveMaterial(ctx, entry, 'front', 'navy'),
+    handle: resolveMaterial(ctx, entry, 'handle', 'brass'),
+    interior: resolveMaterial(ctx, entry, 'interior', 'cabinetInterior'),
+    frontZ: depth/2,
+    openAngle: DOOR_OPEN_ANGLE
+  };
+  const carcassHeight = height - toeKickHeight;
+  const carcass = new THREE.Mesh(new THREE.BoxGeometry(width, carcassHeight, depth), parts.body);
+  carcass.name = 'Cabinet';
+  carcass.position.y = toeKickHeight + carcassHeight/2;
+  group.add(carcass);
+  const toeKick = new THREE.Mesh(new THREE.BoxGeometry(width, toeKickHeight, depth - 0.1), resolveMaterial(ctx, entry, 'toeKick', 'toeKick'));
+  toeKick.name = 'Toe kick';
+  toeKick.position.set(0, toeKickHeight/2, -0.05);
+  group.add(toeKick);
+
+  const doors = entry.params?.doors ?? (width > 0.6 ? 2 : 1);
+  const split = cabinetHeight - toeKickHeight - carcassHeight/2;
+  addCabinetDoors(carcass, parts, width, -carcassHeight/2, split, doors);
+  addCabinetDoors(carcass, parts, width, split, carcassHeight/2, doors);
+
+  const specs = [`Width: ${width.toFixed(2)} m`, `Doors: ${doors * 2}`, `Shelves: ${shelves}`, entry.details?.specs].filter(Boolean).join(' | ');
+  const details = { description: entry.details?.description ?? 'Tall pantry cabinet with adjustable shelves.', specs };
+  placeObject(group, entry);
+  markComponent(group, { ...entry, details });
+  group.userData.dimensions = { width, height, depth };
+  group.userData.finish = `${parts.body.name} / ${parts.front.name}`;
+  return group;
+}
+
+// Wall shelf on two brackets; the entry position is the middle of the board
+function createWallShelf(entry, ctx) {
+  const { width = 1.6, depth = 0.45, thickness = 0.05 } = entry.params || {};
+  const bracketHeight = 0.3;
+  const group = new THREE.Group();
+  const matBoard = resolveMaterial(ctx, entry, 'body', 'woodDark');
+  const board = new THREE.Mesh(new THREE.BoxGeometry(width, thickness, depth), matBoard);
+  board.name = 'Shelf board';
+  board.castShadow = true;
+  group.add(board);
+  const matBracket = resolveMaterial(ctx, entry, 'brackets', 'applianceBlack');
+  [-1, 1].forEach((side) => {
+    const x = side * (width/2 - Math.min(0.2, width/4));
+    const plate = new THREE.Mesh(new THREE.BoxGeometry(0.04, bracketHeight, 0.03), matBracket);
+    plate.name = 'Bracket';
+    plate.position.set(x, -thickness/2 - bracketHeight/2, -depth/2 + 0.015);
+    group.add(plate);
+    const arm = new THREE.Mesh(new THREE.BoxGeometry(0.04, 0.03, depth * 0.8), matBracket);
+    arm.name = 'Bracket';
+    arm.position.set(x, -thickness/2 - 0.015, -depth/2 + depth * 0.4);
+    group.add(arm);
+  });
+
+  const specs = [`Width: ${width.toFixed(2)} m`, `Depth: ${depth.toFixed(2)} m`, entry.details?.specs].filter(Boolean).join(' | ');
+  const details = { description: entry.details?.description ?? 'Wall shelf on steel brackets.', specs };
+  placeObject(group, entry);
+  markComponent(group, { ...entry, details });
+  const height = thickness + bracketHeight;
+  group.userData.dimensions = { width, height, depth };
+  return group;
+}
+
+// --- Light Fixtures ---
+// A lightFixture is a pendant, a recessed downlight or an under-cabinet strip
+// with a real light source. Its switch and dimmer are the "on" and "dim"
+// params, applied with applyFixtureState().
+
+const FIXTURE_KINDS = {
+  pendant: { label: 'Pendant light', watts: 9, lumens: 800 },
+  downlight: { label: 'Recessed downlight', watts: 7, lumens: 600 },
+  strip: { label: 'Under-cabinet LED strip', watts: 10, lumens: 800 }
+};
+const LUMENS_PER_INTENSITY = 500;   // light output that makes an intensity of 1
+
+/**
+ * Sets a built fixture's light sources and glow for its switch and dimmer level.
+ */
+function applyFixtureState(fixture, { on, dim }) {
+  const level = on ? THREE.MathUtils.clamp(dim, 0, 1) : 0;
+  // Lights stay in the scene at zero intensity, so switching doesn't recompile shaders
+  fixture.traverse((object) => {
+    if (object.isLight) object.intensity = object.userData.fullIntensity * level;
+    if (object.userData.fullGlow === undefined) return;
+    // Set on the fixture's own glow too while it shows a faded copy (outliner isolation)
+    object.material.emissiveIntensity = object.userData.fullGlow * level;
+    ownMaterial(object).emissiveIntensity = object.material.emissiveIntensity;
+  });
+  Object.assign(fixture.userData.fixture, { on, dim });
+}
+
+// Light pointing straight down (-Z turned to -Y), as glTF expects for spot and area lights
+function addDownwardLight(group, light, y) {
+  light.position.y = y;
+  light.rotation.x = -Math.PI/2;
+  light.userData.fullIntensity = light.intensity;
+  if (light.isSpotLight) {
+    light.target.position.set(0, 0, -1);
+    light.add(light.target);
+  }
+  group.add(light);
+}
+
+function createLightFixture(entry, ctx) {
+  const p = entry.params || {};
+  const kind = FIXTURE_KINDS[p.kind];
+  if (!kind) {
+    throw new Error(`Unknown light fixture kind "${p.kind}" in layout entry "${entry.id}"`);
+  }
+  const { watts = kind.watts, lumens = kind.lumens, kelvin = 2700 } = p;
+  const color = kelvinColor(kelvin);
+  const power = lumens / LUMENS_PER_INTENSITY;
+  const group = new THREE.Group();
+  // Each fixture dims its own glow, so it gets a copy of the shared material
+  const glowMat = resolveMaterial(ctx, entry, 'glow', 'emissiveWarm').clone();
+  const glow = (geometry) => {
+    const mesh = new THREE.Mesh(geometry, glowMat);
+    mesh.name = 'Lamp';
+    mesh.userData.fullGlow = glowMat.emissiveIntensity;
+    group.add(mesh);
+    return mesh;
+  };
+  let size;   // fixture size (width, height, depth)
+
+  if (p.kind === 'pendant') {
+    // Shade hanging on a cord from the ceiling; the entry position is the shade
+    const { diameter = 0.5 } = p;
+    const matShade = resolveMaterial(ctx, entry, 'body', 'brass');
+    const shade = new THREE.Mesh(new THREE.CylinderGeometry(0.08, diameter/2, 0.35, 24), matShade);
+    shade.name = 'Shade';
+    group.add(shade);
+    const cordLength = Math.max(0, ctx.layout.room.wallHeight - entry.position[1] - 0.175);
+    const cord = new THREE.Mesh(new THREE.CylinderGeometry(0.01, 0.01, cordLength, 8), resolveMaterial(ctx, entry, 'cord', 'applianceBlack'));
+    cord.name = 'Cord';
+    cord.position.y = 0.175 + cordLength/2;
+    group.add(cord);
+    glow(new THREE.SphereGeometry(0.08, 16, 12)).position.y = -0.17;
+    addDownwardLight(group, new THREE.SpotLight(color, power, 10, THREE.MathUtils.degToRad(45), 0.5, 2), -0.2);
+    size = [diameter, 0.35, diameter];
+  } else if (p.kind === 'downlight') {
+    // Trim ring and lens set into the ceiling; the entry position is the lens
+    const { diameter = 0.25 } = p;
+    const matTrim = resolveMaterial(ctx, entry, 'body', 'trim');
+    const trim = new THREE.Mesh(new THREE.CylinderGeometry(diameter/2, diameter/2, 0.02, 24), matTrim);
+    trim.name = 'Trim ring';
+    group.add(trim);
+    glow(new THREE.CylinderGeometry(diameter/2 - 0.03, diameter/2 - 0.03, 0.022, 24));
+    addDownwardLight(group, new THREE.SpotLight(color, power, 12, THREE.MathUtils.degToRad(60), 0.7, 2), -0.012);
+    size = [diameter, 0.02, diameter];
+  } else {
+    // Glowing bar under a wall cabinet, lighting the counter below as an area light
+    const { length = 2, width = 0.1 } = p;
+    glow(new THREE.BoxGeometry(length, 0.02, width));
+    addDownwardLight(group, new THREE.RectAreaLight(color, power / (length * width), length, width), -0.011);
+    size = [length, 0.02, width];
+  }
+
+  const specs = [`Power: ${watts} W`, `Output: ${lumens} lm`, `Color: ${kelvin} K`, entry.details?.specs].filter(Boolean).join(' | ');
+  const details = { description: entry.details?.description ?? `${kind.label}.`, specs };
+  placeObject(group, entry);
+  markComponent(group, { ...entry, details });
+  // The cord doesn't count towards a pendant's size
+  group.userData.dimensions = { width: size[0], height: size[1], depth: size[2] };
+  group.userData.fixture = { kind: p.kind, watts, lumens, kelvin, on: p.on ?? true, dim: p.dim ?? 1 };
+  applyFixtureState(group, group.userData.fixture);
+  return group;
+}
+
+// Where each movable type rests when dragged in edit mode: 'floor', 'counter',
+// 'wall' or 'ceiling' ("mount" on an entry overrides). Types not listed here
+// are fixed in place.
+const COMPONENT_MOUNTS = {
+  toaster: 'counter',
+  kettle: 'counter',
+  coffeeMaker: 'counter',
+  spiceRack: 'counter',
+  utensilHolder: 'counter',
+  fruitBowl: 'counter',
+  microwave: 'counter',
+  island: 'floor',
+  barStool: 'floor',
+  diningTable: 'floor',
+  diningChair: 'floor',
+  refrigerator: 'floor',
+  dishwasher: 'floor',
+  pantry: 'floor',
+  wallShelf: 'wall'
+};
+
+// Builder lookup by layout entry "type"
+const COMPONENT_BUILDERS = {
+  cabinetRun: createCabinetRun,
+  wainscot: createWainscot,
+  decorPanel: createDecorPanel,
+  box: createBox,
+  door: createDoor,
+  window: createWindow,
+  cooktop: createCooktop,
+  rangeHood: createRangeHood,
+  oven: createOven,
+  upperCabinet: createUpperCabinet,
+  waterPurifier: createWaterPurifier,
+  coffeeMaker: createCoffeeMaker,
+  canRow: createCanRow,
+  sink: createSink,
+  toaster: createToaster,
+  kettle: createKettle,
+  spiceRack: createSpiceRack,
+  utensilHolder: createUtensilHolder,
+  fruitBowl: createFruitBowl,
+  island: createIsland,
+  barStool: createBarStool,
+  diningTable: createDiningTable,
+  diningChair: createDiningChair,
+  refrigerator: createRefrigerator,
+  dishwasher: createDishwasher,
+  microwave: createMicrowave,
+  pantry: createPantry,
+  wallShelf: createWallShelf,
+  lightFixture: createLightFixture
+};
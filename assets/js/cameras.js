@@ -0,0 +1,290 @@
+// --- Camera Modes ---
+// The isometric orthographic view, a free perspective orbit, and a first-person
+// walkthrough at eye height (WASD or arrow keys to move, drag to look). Walking
+// collides with the room walls and anything standing on the floor: cabinet
+// runs, the island, the table and chairs.
+
+const CAMERA_MODES = ['isometric', 'perspective', 'walk'];
+// Defaults; a layout can override any of these in its "walkthrough" section
+const DEFAULT_WALKTHROUGH = {
+  eyeHeight: 1.65,   // camera height above the floor
+  radius: 0.25,      // distance kept from walls and obstacles
+  speed: 1.4,        // units per second; Shift walks twice as fast
+  stepHeight: 0.2    // objects lower than this don't block
+};
+const PERSPECTIVE_FOV = 50;
+const WALK_FOV = 70;
+const LOOK_SPEED = 0.004;                         // radians per dragged pixel
+const MAX_PITCH = THREE.MathUtils.degToRad(80);
+const ISOMETRIC_DISTANCE = 20;                    // orthographic camera distance from its target
+const WALK_SEARCH_STEP = 0.1;                      // ring spacing when looking for a free spot
+const PERSPECTIVE_POLAR_LIMITS = { minPolarAngle: 0, maxPolarAngle: Math.PI / 2 - 0.05 };
+
+const cameraModeButtons = {
+  isometric: document.getElementById('btn-view-isometric'),
+  perspective: document.getElementById('btn-view-perspective'),
+  walk: document.getElementById('btn-view-walk')
+};
+const walkHint = document.getElementById('walk-hint');
+
+let isometricCamera, perspectiveCamera, walkCamera;
+const cameraState = {
+  mode: 'isometric',
+  orbitMode: 'isometric',  // orbit mode to return to when leaving the walkthrough
+  isometricLimits: null,   // polar limits main.js gave the isometric orbit
+  yaw: 0,
+  pitch: 0,
+  keys: new Set(),         // KeyboardEvent.code of held movement keys
+  look: null,              // last pointer position while dragging to look
+  obstacles: null          // walkthrough obstacle footprints, rebuilt after layout changes
+};
+
+function isWalking() {
+  return cameraState.mode === 'walk';
+}
+
+function getWalkSettings() {
+  return { ...DEFAULT_WALKTHROUGH, ...kitchen.layout.walkthrough };
+}
+
+/**
+ * Footprints of the objects that block walking: visible layout objects standing
+ * on the floor and taller than a step (not wall cabinets or counter items).
+ */
+function collectWalkObstacles() {
+  const { stepHeight } = getWalkSettings();
+  return [...kitchen.objects.values()]
+    .filter(object => object.visible)
+    .map(getFootprint)
+    .filter(rect => rect.minY < stepHeight && rect.maxY > stepHeight);
+}
+
+/**
+ * Whether the walker fits at a floor point (Vector2 x, z): inside the room and
+ * at least its radius away from every obstacle.
+ */
+function isWalkable(point) {
+  const { radius } = getWalkSettings();
+  const { width, depth, wallThickness = 0.1 } = kitchen.layout.room;
+  if (Math.abs(point.x) > width/2 - wallThickness/2 - radius || Math.abs(point.y) > depth/2 - wallThickness/2 - radius) return false;
+  if (!cameraState.obstacles) cameraState.obstacles = collectWalkObstacles();
+  return cameraState.obstacles.every(rect => footprintDistance(rect, point) >= radius);
+}
+
+/**
+ * Nearest walkable point to a floor point, searched in widening rings.
+ */
+function findWalkablePoint(point) {
+  if (isWalkable(point)) return point;
+  const { width, depth } = kitchen.layout.room;
+  for (let ring = WALK_SEARCH_STEP; ring < Math.max(width, depth); ring += WALK_SEARCH_STEP) {
+    for (let i = 0; i < 24; i++) {
+      const angle = (i / 24) * Math.PI * 2;
+      const candidate = new THREE.Vector2(point.x + Math.cos(angle) * ring, point.y + Math.sin(angle) * ring);
+      if (isWalkable(candidate)) return candidate;
+    }
+  }
+  return point;
+}
+
+/**
+ * Puts the walker at a floor point, facing along cameraState.yaw/pitch.
+ */
+function placeWalker(x, z) {
+  const point = findWalkablePoint(new THREE.Vector2(x, z));
+  walkCamera.position.set(point.x, getWalkSettings().eyeHeight, point.y);
+  walkCamera.rotation.set(cameraState.pitch, cameraState.yaw, 0, 'YXZ');
+}
+
+// Yaw of a view direction; the camera looks down -Z at yaw 0
+function directionYaw(direction) {
+  return Math.atan2(-direction.x, -direction.z);
+}
+
+/**
+ * Makes an orbit camera current, keeping the view direction and target of the
+ * previous one and matching the framing between orthographic and perspective.
+ */
+function useOrbitCamera(next) {
+  const previous = controls.object;
+  if (previous !== next) {
+    const offset = previous.position.clone().sub(controls.target);
+    const direction = offset.clone().normalize();
+    const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(perspectiveCamera.fov / 2));
+    if (next.isPerspectiveCamera) {
+      next.position.copy(controls.target).addScaledVector(direction, halfFrustum / (previous.zoom * tanHalfFov));
+    } else {
+      next.zoom = THREE.MathUtils.clamp(halfFrustum / (offset.length() * tanHalfFov), controls.minZoom, controls.maxZoom);
+      next.position.copy(controls.target).addScaledVector(direction, ISOMETRIC_DISTANCE);
+      next.updateProjectionMatrix();
+    }
+    next.lookAt(controls.target);
+    controls.object = next;
+  }
+  Object.assign(controls, next === isometricCamera ? cameraState.isometricLimits : PERSPECTIVE_POLAR_LIMITS);
+  controls.enabled = true;
+  controls.update();
+  camera = next;
+}
+
+/**
+ * Switches between 'isometric', 'perspective' and 'walk'. The walkthrough
+ * starts where the orbit view was looking, facing the same way.
+ */
+function setCameraMode(mode) {
+  if (!CAMERA_MODES.includes(mode)) throw new Error(`Unknown camera mode "${mode}"`);
+  if (mode === cameraState.mode) return;
+  cameraState.keys.clear();
+  cameraState.look = null;
+  if (mode === 'walk') {
+    cameraState.yaw = directionYaw(controls.target.clone().sub(controls.object.position));
+    cameraState.pitch = 0;
+    placeWalker(controls.target.x, controls.target.z);
+    controls.enabled = false;
+    camera = walkCamera;
+  } else {
+    useOrbitCamera(mode === 'isometric' ? isometricCamera : perspectiveCamera);
+    cameraState.orbitMode = mode;
+  }
+  cameraState.mode = mode;
+  if (transformControls) transformControls.camera = camera;
+  Object.entries(cameraModeButtons).forEach(([key, button]) => button.classList.toggle('active', key === mode));
+  walkHint.classList.toggle('visible', mode === 'walk');
+}
+
+/**
+ * Current view as { mode, position, target, zoom }; the walkthrough target is
+ * a point straight ahead of the eye.
+ */
+function getCameraView() {
+  if (isWalking()) {
+    const target = new THREE.Vector3(0, 0, -1).applyQuaternion(walkCamera.quaternion).add(walkCamera.position);
+    return { mode: 'walk', position: walkCamera.position.clone(), target, zoom: 1 };
+  }
+  return { mode: cameraState.mode, position: camera.position.clone(), target: controls.target.clone(), zoom: camera.zoom };
+}
+
+/**
+ * Restores a view returned by getCameraView().
+ */
+function setCameraView({ mode, position, target, zoom }) {
+  setCameraMode(mode);
+  if (mode === 'walk') {
+    const direction = target.clone().sub(position);
+    cameraState.yaw = directionYaw(direction);
+    cameraState.pitch = THREE.MathUtils.clamp(Math.atan2(direction.y, Math.hypot(direction.x, direction.z)), -MAX_PITCH, MAX_PITCH);
+    placeWalker(position.x, position.z);
+    return;
+  }
+  camera.position.copy(position);
+  controls.target.copy(target);
+  if (camera.isOrthographicCamera) {
+    camera.zoom = zoom;
+    camera.updateProjectionMatrix();
+  }
+  controls.update();
+}
+
+/**
+ * Orbit view that frames a box from the current viewing direction: the target
+ * at the box's center, and the camera backed off (zoomed in, for the isometric
+ * camera) until the box fills most of the view.
+ */
+function frameBoxView(box) {
+  const sphere = box.getBoundingSphere(new THREE.Sphere());
+  const radius = Math.max(sphere.radius, 0.3) * 1.3;
+  const orbitCamera = controls.object;
+  const direction = orbitCamera.position.clone().sub(controls.target).normalize();
+  if (orbitCamera.isOrthographicCamera) {
+    const zoom = THREE.MathUtils.clamp(halfFrustum / radius, controls.minZoom, controls.maxZoom);
+    return { mode: cameraState.orbitMode, position: sphere.center.clone().addScaledVector(direction, ISOMETRIC_DISTANCE), target: sphere.center, zoom };
+  }
+  const distance = radius / Math.sin(THREE.MathUtils.degToRad(orbitCamera.fov / 2));
+  return { mode: cameraState.orbitMode, position: sphere.center.clone().addScaledVector(direction, distance), target: sphere.center, zoom: 1 };
+}
+
+/**
+ * Walks the first-person camera; called from the render loop with the frame time.
+ */
+function updateWalk(delta) {
+  if (!isWalking()) return;
+  const { keys } = cameraState;
+  const held = (...codes) => (codes.some(code => keys.has(code)) ? 1 : 0);
+  const ahead = held('KeyW', 'ArrowUp') - held('KeyS', 'ArrowDown');
+  const side = held('KeyD', 'ArrowRight') - held('KeyA', 'ArrowLeft');
+  if (!ahead && !side) return;
+  const { speed } = getWalkSettings();
+  const { yaw } = cameraState;
+  // Forward is (-sin, -cos) and right is (cos, -sin) on the floor plane
+  const step = new THREE.Vector2(
+    -Math.sin(yaw) * ahead + Math.cos(yaw) * side,
+    -Math.cos(yaw) * ahead - Math.sin(yaw) * side
+  ).normalize().multiplyScalar(speed * (held('ShiftLeft', 'ShiftRight') ? 2 : 1) * Math.min(delta, 0.1));
+  // Blocked steps slide along whichever axis is still free
+  const { x, z } = walkCamera.position;
+  const next = [new THREE.Vector2(x + step.x, z + step.y), new THREE.Vector2(x + step.x, z), new THREE.Vector2(x, z + step.y)]
+    .find(isWalkable);
+  if (next) walkCamera.position.set(next.x, walkCamera.position.y, next.y);
+}
+
+/**
+ * Keeps every camera's projection in step with the window's aspect ratio.
+ */
+function resizeCameras(aspect) {
+  isometricCamera.left = -halfFrustum * aspect;
+  isometricCamera.right = halfFrustum * aspect;
+  isometricCamera.top = halfFrustum;
+  isometricCamera.bottom = -halfFrustum;
+  isometricCamera.updateProjectionMatrix();
+  [perspectiveCamera, walkCamera].forEach((perspective) => {
+    perspective.aspect = aspect;
+    perspective.updateProjectionMatrix();
+  });
+}
+
+function onWalkKeyDown(event) {
+  if (!isWalking() || isFormTarget(event.target) || event.ctrlKey || event.metaKey) return;
+  if (event.code === 'Escape') {
+    setCameraMode(cameraState.orbitMode);
+    return;
+  }
+  cameraState.keys.add(event.code);
+  // Keep arrow keys from scrolling panels
+  if (event.code.startsWith('Arrow')) event.preventDefault();
+}
+
+function onWalkPointerMove(event) {
+  if (!cameraState.look) return;
+  cameraState.yaw -= (event.clientX - cameraState.look.x) * LOOK_SPEED;
+  cameraState.pitch = THREE.MathUtils.clamp(cameraState.pitch - (event.clientY - cameraState.look.y) * LOOK_SPEED, -MAX_PITCH, MAX_PITCH);
+  cameraState.look = { x: event.clientX, y: event.clientY };
+  walkCamera.rotation.set(cameraState.pitch, cameraState.yaw, 0, 'YXZ');
+}
+
+function setupCameras() {
+  const aspect = window.innerWidth / window.innerHeight;
+  isometricCamera = camera;
+  perspectiveCamera = new THREE.PerspectiveCamera(PERSPECTIVE_FOV, aspect, 0.1, 1000);
+  walkCamera = new THREE.PerspectiveCamera(WALK_FOV, aspect, 0.05, 1000);
+  cameraState.isometricLimits = { minPolarAngle: controls.minPolarAngle, maxPolarAngle: controls.maxPolarAngle };
+
+  Object.entries(cameraModeButtons).forEach(([mode, button]) => {
+    button.addEventListener('click', () => setCameraMode(mode));
+  });
+  window.addEventListener('keydown', onWalkKeyDown);
+  window.addEventListener('keyup', event => cameraState.keys.delete(event.code));
+  window.addEventListener('blur', () => cameraState.keys.clear());
+  renderer.domElement.addEventListener('pointerdown', (event) => {
+    if (isWalking() && event.button === 0) cameraState.look = { x: event.clientX, y: event.clientY };
+  });
+  window.addEventListener('pointermove', onWalkPointerMove);
+  window.addEventListener('pointerup', () => {
+    cameraState.look = null;
+  });
+
+  // Moved, added or removed items change what the walker bumps into
+  window.addEventListener(LAYOUT_CHANGE_EVENT, () => {
+    cameraState.obstacles = null;
+    if (isWalking()) placeWalker(walkCamera.position.x, walkCamera.position.z);
+  });
+}
@@ -0,0 +1,183 @@
+// --- Screenshot and Turntable Capture ---
+// Screenshots render the current view offscreen at a chosen size, optionally
+// supersampled (rendered larger, then scaled down) and with a transparent
+// background, and download it as PNG. The turntable orbits the camera once
+// around its target and records the canvas to a WebM video with MediaRecorder.
+// Editor and analysis overlays are hidden in both.
+
+// Output sizes offered in the panel; "window" is the size of the page
+const CAPTURE_SIZES = {
+  window: null,
+  hd: [1920, 1080],
+  qhd: [2560, 1440],
+  uhd: [3840, 2160]
+};
+const TURNTABLE_FPS = 30;
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+const capturePanel = document.getElementById('capture-panel');
+const captureButton = document.getElementById('btn-capture');
+const captureSizeSelect = document.getElementById('capture-size');
+const captureSupersampleSelect = document.getElementById('capture-supersample');
+const captureTransparentInput = document.getElementById('capture-transparent');
+const capturePngButton = document.getElementById('btn-capture-png');
+const turntableSecondsInput = document.getElementById('turntable-seconds');
+const turntableButton = document.getElementById('btn-turntable');
+const captureStatus = document.getElementById('capture-status');
+
+const captureState = {
+  turntable: null   // { recorder, chunks, turned, duration, restoreOverlays } while recording
+};
+
+// Editor and analysis overlays, which captures leave out. Highlight outlines
+// hide themselves while recording (see updateOutline).
+function captureOverlays() {
+  return [transformControls, editGrid, validationOverlay, ergonomicsOverlay, measureState.overlay,
+    highlightState.hover?.outline, highlightState.selection?.outline].filter(Boolean);
+}
+
+/**
+ * Hides the overlays that are shown. Returns a function that shows them again.
+ */
+function hideCaptureOverlays() {
+  const shown = captureOverlays().filter(object => object.visible);
+  shown.forEach((object) => {
+    object.visible = false;
+  });
+  return () => shown.forEach((object) => {
+    // A gizmo detached in the meantime stays hidden
+    if (object !== transformControls || transformControls.object) object.visible = true;
+  });
+}
+
+/**
+ * Largest supersampling factor (up to the requested one) whose render fits
+ * the GPU's drawing buffer limits.
+ */
+function fitSupersample(width, height, requested) {
+  const gl = renderer.getContext();
+  const maxSize = Math.min(gl.getParameter(gl.MAX_RENDERBUFFER_SIZE), ...gl.getParameter(gl.MAX_VIEWPORT_DIMS));
+  let scale = requested;
+  while (scale > 1 && Math.max(width, height) * scale > maxSize) scale--;
+  return scale;
+}
+
+/**
+ * Renders the current view at width x height into a new 2D canvas. The
+ * renderer's canvas is resized for the render and put back before the page
+ * repaints, so nothing flickers on screen.
+ */
+function renderCapture(width, height, { supersample = 1, transparent = false } = {}) {
+  const scale = fitSupersample(width, height, supersample);
+  const pixelRatio = renderer.getPixelRatio();
+  const background = scene.background;
+  const clearAlpha = renderer.getClearAlpha();
+  const output = document.createElement('canvas');
+  output.width = width;
+  output.height = height;
+  const restoreOverlays = hideCaptureOverlays();
+  try {
+    renderer.setPixelRatio(1);
+    renderer.setSize(width * scale, height * scale, false);
+    resizeCameras(width / height);
+    if (transparent) {
+      scene.background = null;
+      renderer.setClearAlpha(0);
+    }
+    renderer.render(scene, camera);
+    // The drawing buffer is only readable until control returns to the browser
+    const context = output.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+    context.drawImage(renderer.domElement, 0, 0, width, height);
+  } finally {
+    restoreOverlays();
+    scene.background = background;
+    renderer.setClearAlpha(clearAlpha);
+    renderer.setPixelRatio(pixelRatio);
+    renderer.setSize(window.innerWidth, window.innerHeight);
+    resizeCameras(window.innerWidth / window.innerHeight);
+  }
+  return output;
+}
+
+/**
+ * Saves the current view as PNG with the panel's size, supersampling and background.
+ */
+function saveScreenshot() {
+  const [width, height] = CAPTURE_SIZES[captureSizeSelect.value] || [window.innerWidth, window.innerHeight];
+  const canvas = renderCapture(width, height, {
+    supersample: Number(captureSupersampleSelect.value),
+    transparent: captureTransparentInput.checked
+  });
+  canvas.toBlob((blob) => {
+    if (!blob) {
+      captureStatus.textContent = 'Could not encode the screenshot.';
+      return;
+    }
+    downloadBlob(blob, `${fileSlug(kitchen.layout.name)}-${width}x${height}.png`);
+    captureStatus.textContent = `Saved a ${width} × ${height} screenshot.`;
+  }, 'image/png');
+}
+
+/**
+ * Starts recording one orbit around the camera target, lasting `duration` seconds.
+ */
+function startTurntable(duration) {
+  const mimeType = window.MediaRecorder && WEBM_TYPES.find(type => MediaRecorder.isTypeSupported(type));
+  if (!mimeType) {
+    captureStatus.textContent = 'This browser cannot record WebM video.';
+    return;
+  }
+  // The turntable orbits, so it leaves the walkthrough and any tour or flight
+  stopTour();
+  if (isWalking()) setCameraMode(cameraState.orbitMode);
+  controls.enabled = false;
+
+  const recorder = new MediaRecorder(renderer.domElement.captureStream(TURNTABLE_FPS), { mimeType });
+  const turntable = { recorder, chunks: [], turned: 0, duration, restoreOverlays: hideCaptureOverlays() };
+  recorder.addEventListener('dataavailable', event => turntable.chunks.push(event.data));
+  recorder.addEventListener('stop', () => {
+    downloadBlob(new Blob(turntable.chunks, { type: 'video/webm' }), `${fileSlug(kitchen.layout.name)}-turntable.webm`);
+    captureStatus.textContent = 'Saved the turntable video.';
+  });
+  recorder.start();
+  captureState.turntable = turntable;
+  turntableButton.textContent = 'Stop recording';
+  turntableButton.classList.add('active');
+}
+
+function stopTurntable() {
+  const { turntable } = captureState;
+  if (!turntable) return;
+  captureState.turntable = null;
+  turntable.recorder.stop();
+  turntable.restoreOverlays();
+  controls.enabled = true;
+  turntableButton.textContent = 'Record turntable';
+  turntableButton.classList.remove('active');
+}
+
+/**
+ * Turns the camera around its target while recording; called from the render
+ * loop with the frame time.
+ */
+function updateTurntable(delta) {
+  const { turntable } = captureState;
+  if (!turntable) return;
+  const step = Math.min(Math.PI * 2 * delta / turntable.duration, Math.PI * 2 - turntable.turned);
+  const offset = camera.position.clone().sub(controls.target).applyAxisAngle(new THREE.Vector3(0, 1, 0), step);
+  camera.position.copy(controls.target).add(offset);
+  camera.lookAt(controls.target);
+  turntable.turned += step;
+  captureStatus.textContent = `Recording… ${Math.round(turntable.turned / (Math.PI * 2) * 100)}%`;
+  if (turntable.turned >= Math.PI * 2) stopTurntable();
+}
+
+function setupCapture() {
+  registerToolPanel(capturePanel, captureButton);
+  capturePngButton.addEventListener('click', saveScreenshot);
+  turntableButton.addEventListener('click', () => {
+    if (captureState.turntable) stopTurntable();
+    else startTurntable(THREE.MathUtils.clamp(Number(turntableSecondsInput.value) || 12, 2, 120));
+  });
+}
@@ -0,0 +1,124 @@
+// --- Item Catalog ---
+// A panel of parametric items (assets/catalogs/items.json) that can be dragged
+// into the scene, or clicked to add in the middle of the view. Each item is a
+// layout entry template: a placed copy gets its own id, snaps like a dragged
+// item of its mount (see editor.js) and is selected for editing, and adding
+// it can be undone.
+
+const ITEM_CATALOG_URL = 'assets/catalogs/items.json';
+const CATALOG_DRAG_TYPE = 'application/x-kitchen-catalog-item';
+const FLOOR_PLANE = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+
+const catalogPanel = document.getElementById('catalog-panel');
+const catalogButton = document.getElementById('btn-catalog');
+const catalogItems = document.getElementById('catalog-items');
+const catalogStatus = document.getElementById('catalog-status');
+
+let itemCatalog = null;
+
+/**
+ * Fetches an item catalog file.
+ */
+async function loadItemCatalog(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load item catalog "${url}" (HTTP ${response.status})`);
+  }
+  return response.json();
+}
+
+// First free id for a new item: the catalog key itself, then "key-2", "key-3"...
+function catalogEntryId(key) {
+  return findLayoutEntry(kitchen.layout, key) ? uniqueEntryId(key) : key;
+}
+
+/**
+ * Point on the floor under a screen position, or null above the horizon.
+ */
+function floorPointAt(clientX, clientY) {
+  const rect = renderer.domElement.getBoundingClientRect();
+  const pointer = new THREE.Vector2(
+    ((clientX - rect.left) / rect.width) * 2 - 1,
+    -((clientY - rect.top) / rect.height) * 2 + 1
+  );
+  raycaster.setFromCamera(pointer, camera);
+  return raycaster.ray.intersectPlane(FLOOR_PLANE, new THREE.Vector3());
+}
+
+/**
+ * Adds a copy of a catalog item at a floor point, snapped and selected for editing.
+ */
+function placeCatalogItem(item, point) {
+  const entry = JSON.parse(JSON.stringify(item.entry));
+  entry.id = catalogEntryId(item.key);
+  const [, y] = entry.position || [0, 0, 0];
+  entry.position = [roundCoord(point.x), y, roundCoord(point.z)];
+  const index = (kitchen.layout.components || []).length;
+  const object = addComponentEntry(entry, index);
+
+  // Snap it like a dragged item, and keep where it landed
+  if (!isEditing()) setEditMode(true);
+  selectForEdit(object);
+  snapSelection();
+  commitSelectionTransform();
+  recordCommand({
+    label: `add ${entryLabel(entry)}`,
+    undo: () => removeComponentEntry(entry.id),
+    redo: () => addComponentEntry(entry, index)
+  });
+  catalogStatus.textContent = `Added ${entryLabel(entry)}.`;
+}
+
+function findCatalogItem(key) {
+  return itemCatalog?.items.find(item => item.key === key) ?? null;
+}
+
+function refreshCatalog() {
+  catalogItems.replaceChildren(...itemCatalog.items.map((item) => {
+    const tile = document.createElement('button');
+    tile.className = 'catalog-tile';
+    tile.draggable = true;
+    tile.title = 'Drag into the scene, or click to add in the middle of the view';
+    const label = document.createElement('span');
+    label.className = 'block font-semibold';
+    label.textContent = item.label;
+    const summary = document.createElement('span');
+    summary.className = 'block text-gray-400';
+    summary.textContent = item.summary || '';
+    tile.append(label, summary);
+    tile.addEventListener('click', () => placeCatalogItem(item, controls.target));
+    tile.addEventListener('dragstart', (event) => {
+      event.dataTransfer.setData(CATALOG_DRAG_TYPE, item.key);
+      event.dataTransfer.effectAllowed = 'copy';
+    });
+    return tile;
+  }));
+}
+
+function setupCatalog() {
+  registerToolPanel(catalogPanel, catalogButton);
+  loadItemCatalog(ITEM_CATALOG_URL)
+    .then((catalog) => {
+      itemCatalog = catalog;
+      refreshCatalog();
+    })
+    .catch((err) => {
+      console.error(err);
+      catalogStatus.textContent = 'Could not load the item catalog.';
+    });
+
+  // Dropping a tile on the canvas places the item under the pointer
+  const canvas = renderer.domElement;
+  canvas.addEventListener('dragover', (event) => {
+    if (!event.dataTransfer.types.includes(CATALOG_DRAG_TYPE)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  });
+  canvas.addEventListener('drop', (event) => {
+    const item = findCatalogItem(event.dataTransfer.getData(CATALOG_DRAG_TYPE));
+    if (!item) return;
+    event.preventDefault();
+    const point = floorPointAt(event.clientX, event.clientY);
+    if (point) placeCatalogItem(item, point);
+  });
+}
@@ -0,0 +1,134 @@
+// --- Finish Configurator ---
+// The "finishes" section of a layout groups materials into swappable slots
+// (cabinet body, countertop, walls...) with presets. Applying a preset updates
+// the shared materials in place and regenerates any procedural textures it
+// recolors, so every mesh using the slot changes at once. The choices are
+// written back to the layout, so Save layout keeps them.
+
+const finishesPanel = document.getElementById('finishes-panel');
+const finishesButton = document.getElementById('btn-finishes');
+const finishesSlots = document.getElementById('finishes-slots');
+
+/**
+ * Replaces a texture of the current kitchen with one built from a new
+ * definition, keeping the repeat the builders set on the old one. Materials
+ * using it take its other maps too, or drop them if the new generator has none.
+ */
+function regenerateTexture(key, def) {
+  const old = kitchen.textures[key];
+  if (!old) throw new Error(`Unknown texture "${key}"`);
+  const set = createTexture(key, def);
+  set.map.repeat.copy(old.map.repeat);
+  Object.values(kitchen.materials).forEach((material) => {
+    if (material.map !== old.map) return;
+    material.map = set.map;
+    material.normalMap = set.normalMap || null;
+    material.roughnessMap = set.roughnessMap || null;
+    material.metalnessMap = set.metalnessMap || null;
+    // Gaining or losing a map changes the shader
+    material.needsUpdate = true;
+  });
+  kitchen.textures[key] = set;
+  disposeSurfaceTextures(old);
+}
+
+/**
+ * Applies material and texture overrides ({ materials, textures }, as in a
+ * preset): material properties are merged into the layout's definitions and
+ * set on the live materials; texture definitions replace the layout's
+ * generator and params and are regenerated. Returns the overrides that undo it.
+ */
+function applyFinishOverrides({ materials = {}, textures = {} }, source) {
+  const { layout } = kitchen;
+  const inverse = { materials: {}, textures: {} };
+  Object.entries(materials).forEach(([key, props]) => {
+    const material = kitchen.materials[key];
+    if (!material) throw new Error(`Unknown material "${key}" in finish "${source}"`);
+    inverse.materials[key] = {};
+    Object.keys(props).forEach((prop) => {
+      const value = material[prop];
+      inverse.materials[key][prop] = value?.isColor ? `#${value.getHexString()}` : value;
+    });
+    layout.materials[key] = { ...layout.materials[key], ...props };
+    material.setValues(props);
+  });
+  Object.entries(textures).forEach(([key, def]) => {
+    const { generator, params } = layout.textures[key] || {};
+    inverse.textures[key] = { generator, params };
+    layout.textures[key] = { ...layout.textures[key], ...def };
+    regenerateTexture(key, layout.textures[key]);
+  });
+  return inverse;
+}
+
+/**
+ * Applies a preset of a finish slot. Returns the overrides that undo it.
+ */
+function applyFinishPreset(slotKey, presetKey) {
+  const slot = kitchen.layout.finishes[slotKey];
+  const inverse = applyFinishOverrides(slot.presets[presetKey], `${slotKey}/${presetKey}`);
+  slot.selected = presetKey;
+  notifyLayoutChange('finish', { slot: slotKey, preset: presetKey });
+  return inverse;
+}
+
+/**
+ * Applies a preset picked in the panel as an undoable edit.
+ */
+function selectFinishPreset(slotKey, presetKey) {
+  const slot = kitchen.layout.finishes[slotKey];
+  if (presetKey === slot.selected) return;
+  const previous = slot.selected;
+  const inverse = applyFinishPreset(slotKey, presetKey);
+  recordCommand({
+    label: `${slot.label.toLowerCase()} finish`,
+    undo: () => {
+      applyFinishOverrides(inverse, slotKey);
+      slot.selected = previous;
+      notifyLayoutChange('finish', { slot: slotKey, preset: previous });
+    },
+    redo: () => applyFinishPreset(slotKey, presetKey)
+  });
+}
+
+/**
+ * Lists the finish slots of the current layout with a swatch per preset.
+ */
+function refreshConfigurator() {
+  const finishes = Object.entries(kitchen.layout.finishes || {});
+  if (finishes.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-sm';
+    empty.textContent = 'This layout has no finish slots.';
+    finishesSlots.replaceChildren(empty);
+    return;
+  }
+  finishesSlots.replaceChildren(...finishes.map(([slotKey, slot]) => {
+    const row = document.createElement('div');
+    const title = document.createElement('p');
+    title.className = 'text-xs mb-1';
+    title.textContent = `${slot.label}: ${slot.presets[slot.selected]?.label ?? 'Custom'}`;
+    const swatches = document.createElement('div');
+    swatches.className = 'flex gap-2';
+    Object.entries(slot.presets).forEach(([presetKey, preset]) => {
+      const swatch = document.createElement('button');
+      swatch.className = 'finish-swatch';
+      swatch.classList.toggle('active', presetKey === slot.selected);
+      swatch.style.background = preset.swatch;
+      swatch.title = preset.label;
+      swatch.setAttribute('aria-label', `${slot.label}: ${preset.label}`);
+      swatch.addEventListener('click', () => selectFinishPreset(slotKey, presetKey));
+      swatches.appendChild(swatch);
+    });
+    row.append(title, swatches);
+    return row;
+  }));
+}
+
+function setupConfigurator() {
+  registerToolPanel(finishesPanel, finishesButton, { onOpen: refreshConfigurator });
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    const { reason } = event.detail;
+    if ((reason === 'rebuild' || reason === 'finish') && isToolPanelOpen(finishesPanel)) refreshConfigurator();
+  });
+}
@@ -0,0 +1,430 @@
+// --- Edit Mode ---
+// Select movable components and drag them along the floor or onto countertops.
+// Every move is written back to the layout entry, so the edited arrangement
+// can be saved as a layout file and opened again later.
+
+const GRID_SNAP = 0.1;          // world units
+const ROTATION_SNAP_DEG = 15;
+const DUPLICATE_OFFSET = 0.3;   // along X, so copies don't land on the original
+const RUN_SNAP_DISTANCE = 0.6;  // floor appliances this close to a run end or wall stand against it
+const RUN_ALIGNED_TYPES = ['refrigerator', 'dishwasher', 'pantry'];
+
+const editButton = document.getElementById('btn-edit');
+const saveLayoutButton = document.getElementById('btn-save-layout');
+const openLayoutButton = document.getElementById('btn-open-layout');
+const layoutFileInput = document.getElementById('layout-file-input');
+
+let transformControls, editGrid;
+const editor = {
+  enabled: false,
+  selected: null,               // layout root object attached to the gizmo
+  mount: null,                  // 'floor' | 'counter' | 'wall' | 'ceiling'
+  baseOffset: 0,                // object origin height above its lowest point
+  halfSize: new THREE.Vector3(),
+  dragStart: null,              // { position, rotation } of the entry when the drag began
+  suppressClick: false          // swallow the click that ends a gizmo drag
+};
+
+function isEditing() {
+  return editor.enabled;
+}
+
+function snapToGrid(value) {
+  return Math.round(value / GRID_SNAP) * GRID_SNAP;
+}
+
+function roundCoord(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+/**
+ * Resolves how a layout root may be moved: 'floor', 'counter', 'wall',
+ * 'ceiling', or null if fixed.
+ */
+function getMount(root) {
+  const entry = findLayoutEntry(kitchen.layout, root.userData.layoutId);
+  return entry ? getEntryMount(entry) : null;
+}
+
+/**
+ * Objects exposing a countertop footprint (cabinet runs, island).
+ */
+function getCounterSurfaces() {
+  return [...kitchen.objects.values()].filter(object => object.userData.surface && object !== editor.selected);
+}
+
+/**
+ * Picks the surface whose footprint is closest to a world point (0 if inside).
+ */
+function nearestSurface(point) {
+  let best = null;
+  let bestDistance = Infinity;
+  getCounterSurfaces().forEach((object) => {
+    const { halfX, halfZ } = object.userData.surface;
+    const local = object.worldToLocal(point.clone());
+    const dx = Math.max(Math.abs(local.x) - halfX, 0);
+    const dz = Math.max(Math.abs(local.z) - halfZ, 0);
+    const distance = Math.hypot(dx, dz);
+    if (distance < bestDistance) {
+      best = object;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+/**
+ * Keeps the selected object on top of a surface and inside its footprint.
+ */
+function placeOnSurface(object, surfaceObject) {
+  const { halfX, halfZ, top } = surfaceObject.userData.surface;
+  const margin = Math.max(editor.halfSize.x, editor.halfSize.z);
+  const local = surfaceObject.worldToLocal(object.position.clone());
+  const limitX = Math.max(halfX - margin, 0);
+  const limitZ = Math.max(halfZ - margin, 0);
+  local.set(THREE.MathUtils.clamp(local.x, -limitX, limitX), top, THREE.MathUtils.clamp(local.z, -limitZ, limitZ));
+  const world = surfaceObject.localToWorld(local);
+  object.position.set(world.x, world.y + editor.baseOffset, world.z);
+}
+
+/**
+ * Keeps a floor item inside the room walls.
+ */
+function clampToRoom(object) {
+  const { width, depth, wallThickness = 0.1 } = kitchen.layout.room;
+  const limitX = Math.max(width/2 - wallThickness/2 - editor.halfSize.x, 0);
+  const limitZ = Math.max(depth/2 - wallThickness/2 - editor.halfSize.z, 0);
+  object.position.x = THREE.MathUtils.clamp(object.position.x, -limitX, limitX);
+  object.position.z = THREE.MathUtils.clamp(object.position.z, -limitZ, limitZ);
+}
+
+/**
+ * Stands an object with its back against a wall face (see roomWallFaces),
+ * facing into the room and kept between the walls on either side.
+ */
+function placeAgainstWall(object, face, halfWidth, halfDepth) {
+  const { width, depth, wallThickness = 0.1 } = kitchen.layout.room;
+  const [across, along, length] = face.axis === 'x' ? ['x', 'z', depth] : ['z', 'x', width];
+  const limit = Math.max(length/2 - wallThickness/2 - halfWidth, 0);
+  object.position[along] = THREE.MathUtils.clamp(object.position[along], -limit, limit);
+  object.position[across] = face.plane + face.sign * halfDepth;
+  object.rotation.set(0, face.axis === 'x' ? face.sign * Math.PI/2 : (face.sign > 0 ? 0 : Math.PI), 0);
+}
+
+/**
+ * Hangs a wall-mounted item on the nearest wall.
+ */
+function snapToWall(object) {
+  const faces = roomWallFaces();
+  if (faces.length === 0) return;
+  const point = new THREE.Vector2(object.position.x, object.position.z);
+  const distance = face => Math.abs(point[face.axis] - face.plane);
+  const face = faces.reduce((best, face) => (distance(face) < distance(best) ? face : best));
+  const { width, depth } = object.userData.dimensions;
+  placeAgainstWall(object, face, width/2, depth/2);
+}
+
+/**
+ * Stands a floor appliance or tall cabinet in line with the cabinets when it is
+ * dragged close to them: beside the end of a run (same facing, fronts flush),
+ * else with its back against a wall.
+ */
+function alignWithRuns(object) {
+  const { width, depth } = object.userData.dimensions;
+  const point = new THREE.Vector2(object.position.x, object.position.z);
+  const runs = [...kitchen.objects.values()].filter(run => run.userData.type === 'cabinetRun' && run.visible).map(getFootprint);
+  let best = null;
+  let bestDistance = RUN_SNAP_DISTANCE;
+  runs.forEach((rect) => {
+    [-1, 1].forEach((side) => {
+      const center = footprintWorldPoint(rect, side * (rect.halfX + width/2), rect.halfZ - depth/2);
+      const slot = { center, halfX: width/2, halfZ: depth/2, yaw: rect.yaw };
+      // Skip run ends that butt against another run
+      if (runs.some(other => footprintOverlap(slot, other) > 0.01)) return;
+      const distance = center.distanceTo(point);
+      if (distance < bestDistance) {
+        best = slot;
+        bestDistance = distance;
+      }
+    });
+  });
+  if (best) {
+    object.position.set(best.center.x, object.position.y, best.center.y);
+    object.rotation.set(0, best.yaw, 0);
+    return;
+  }
+  const face = roomWallFaces().find(({ axis, plane, sign }) => Math.abs(point[axis] - (plane + sign * depth/2)) < RUN_SNAP_DISTANCE);
+  if (face) placeAgainstWall(object, face, width/2, depth/2);
+}
+
+/**
+ * Applies grid and surface snapping while the gizmo is dragged.
+ */
+function snapSelection() {
+  const object = editor.selected;
+  if (!object) return;
+  if (transformControls.getMode() === 'rotate') return;
+  object.position.x = snapToGrid(object.position.x);
+  object.position.z = snapToGrid(object.position.z);
+  if (editor.mount === 'counter') {
+    const surface = nearestSurface(object.position);
+    if (surface) placeOnSurface(object, surface);
+  } else if (editor.mount === 'wall') {
+    snapToWall(object);
+  } else {
+    clampToRoom(object);
+    if (RUN_ALIGNED_TYPES.includes(object.userData.type)) alignWithRuns(object);
+  }
+}
+
+function getEntryPlacement(entry) {
+  return { position: (entry.position || [0, 0, 0]).slice(), rotation: entry.rotation ?? 0 };
+}
+
+/**
+ * Moves a layout entry and its object to a position and yaw (degrees).
+ */
+function setEntryPlacement(id, { position, rotation }) {
+  const entry = findLayoutEntry(kitchen.layout, id);
+  entry.position = position.slice();
+  entry.rotation = rotation;
+  placeObject(kitchen.objects.get(id), entry);
+  notifyLayoutChange('transform', { id });
+}
+
+/**
+ * Writes the selected object's transform back to its layout entry and records
+ * the move for undo.
+ */
+function commitSelectionTransform() {
+  const object = editor.selected;
+  if (!object) return;
+  // Read yaw in YXZ order so turns past 90 degrees don't flip into X/Z rotations
+  const yaw = new THREE.Euler().setFromQuaternion(object.quaternion, 'YXZ').y;
+  object.rotation.set(0, yaw, 0);
+  const entry = findLayoutEntry(kitchen.layout, object.userData.layoutId);
+  entry.position = object.position.toArray().map(roundCoord);
+  entry.rotation = Math.round(THREE.MathUtils.radToDeg(yaw) * 10) / 10;
+  notifyLayoutChange('transform', { id: entry.id });
+
+  const before = editor.dragStart;
+  const after = getEntryPlacement(entry);
+  editor.dragStart = null;
+  if (!before || (before.position.join() === after.position.join() && before.rotation === after.rotation)) return;
+  const verb = before.rotation === after.rotation ? 'move' : 'rotate';
+  recordCommand({
+    label: `${verb} ${entryLabel(entry)}`,
+    undo: () => setEntryPlacement(entry.id, before),
+    redo: () => setEntryPlacement(entry.id, after)
+  });
+}
+
+/**
+ * Adds a component entry to the layout at `index` and builds its object.
+ */
+function addComponentEntry(entry, index) {
+  kitchen.layout.components = kitchen.layout.components || [];
+  kitchen.layout.components.splice(index, 0, entry);
+  const object = buildEntry(entry, kitchen);
+  kitchen.root.add(object);
+  notifyLayoutChange('add', { id: entry.id });
+  return object;
+}
+
+/**
+ * Removes a component entry and its object. Returns the entry's former index.
+ */
+function removeComponentEntry(id) {
+  const { components } = kitchen.layout;
+  const index = components.findIndex(entry => entry.id === id);
+  const object = kitchen.objects.get(id);
+  if (editor.selected === object) deselectForEdit();
+  components.splice(index, 1);
+  kitchen.root.remove(object);
+  kitchen.objects.delete(id);
+  // Materials made for this object alone, such as light fixture glows, go with it;
+  // faded copies are freed when the isolation is redone
+  const shared = new Set(Object.values(kitchen.materials));
+  object.traverse((child) => {
+    if (child.geometry) child.geometry.dispose();
+    const material = child.material && ownMaterial(child);
+    if (material && !shared.has(material)) material.dispose();
+  });
+  notifyLayoutChange('remove', { id });
+  return index;
+}
+
+// "toaster" -> "toaster-2" (or the next free number)
+function uniqueEntryId(id) {
+  const stem = id.replace(/-\d+$/, '');
+  let n = 2;
+  while (findLayoutEntry(kitchen.layout, `${stem}-${n}`)) n++;
+  return `${stem}-${n}`;
+}
+
+/**
+ * Deletes the selected component.
+ */
+function deleteSelection() {
+  if (!editor.selected) return;
+  const entry = findLayoutEntry(kitchen.layout, editor.selected.userData.layoutId);
+  const index = removeComponentEntry(entry.id);
+  recordCommand({
+    label: `delete ${entryLabel(entry)}`,
+    undo: () => addComponentEntry(entry, index),
+    redo: () => removeComponentEntry(entry.id)
+  });
+}
+
+/**
+ * Adds a copy of the selected component next to it and selects the copy.
+ */
+function duplicateSelection() {
+  if (!editor.selected) return;
+  const source = findLayoutEntry(kitchen.layout, editor.selected.userData.layoutId);
+  const entry = JSON.parse(JSON.stringify(source));
+  entry.id = uniqueEntryId(source.id);
+  const [x, y, z] = source.position || [0, 0, 0];
+  entry.position = [roundCoord(x + DUPLICATE_OFFSET), y, z];
+  const index = kitchen.layout.components.indexOf(source) + 1;
+  selectForEdit(addComponentEntry(entry, index));
+  recordCommand({
+    label: `duplicate ${entryLabel(source)}`,
+    undo: () => removeComponentEntry(entry.id),
+    redo: () => addComponentEntry(entry, index)
+  });
+}
+
+/**
+ * Attaches the gizmo to the movable component owning a picked object.
+ */
+function selectForEdit(object) {
+  const root = object ? findLayoutRoot(object) : null;
+  const mount = root ? getMount(root) : null;
+  if (!mount) {
+    deselectForEdit();
+    return;
+  }
+  editor.selected = root;
+  editor.mount = mount;
+  const box = new THREE.Box3().setFromObject(root);
+  box.getSize(editor.halfSize).multiplyScalar(0.5);
+  editor.baseOffset = root.position.y - box.min.y;
+  transformControls.attach(root);
+}
+
+function deselectForEdit() {
+  editor.selected = null;
+  editor.mount = null;
+  transformControls.detach();
+}
+
+/**
+ * Handles a canvas click while editing. Returns true if the click was consumed.
+ */
+function handleEditClick(hitObject) {
+  if (editor.suppressClick) {
+    editor.suppressClick = false;
+    return true;
+  }
+  selectForEdit(hitObject);
+  return false;
+}
+
+function setTransformMode(mode) {
+  transformControls.setMode(mode);
+  transformControls.showX = mode === 'translate';
+  transformControls.showY = mode === 'rotate';
+  transformControls.showZ = mode === 'translate';
+}
+
+function setEditMode(enabled) {
+  editor.enabled = enabled;
+  editButton.classList.toggle('active', enabled);
+  if (!enabled) deselectForEdit();
+
+  if (editGrid) {
+    scene.remove(editGrid);
+    editGrid.geometry.dispose();
+    editGrid.material.dispose();
+    editGrid = null;
+  }
+  if (enabled) {
+    const size = Math.max(kitchen.layout.room.width, kitchen.layout.room.depth);
+    editGrid = new THREE.GridHelper(size, Math.round(size / 0.5), 0x3ec1a9, 0x888888);
+    editGrid.position.y = 0.002;
+    editGrid.material.transparent = true;
+    editGrid.material.opacity = 0.35;
+    scene.add(editGrid);
+  }
+}
+
+/**
+ * Downloads the current (possibly edited) layout as JSON.
+ */
+function saveLayoutFile() {
+  const json = JSON.stringify(kitchen.layout, null, 2);
+  downloadBlob(new Blob([json + '\n'], { type: 'application/json' }), `${fileSlug(kitchen.layout.name)}.json`);
+}
+
+/**
+ * Rebuilds the kitchen from a layout file chosen by the user.
+ */
+async function openLayoutFile(file) {
+  try {
+    rebuildKitchen(JSON.parse(await file.text()));
+  } catch (err) {
+    console.error(`Could not open layout "${file.name}":`, err);
+    window.alert(`Could not open layout "${file.name}": ${err.message}`);
+  }
+}
+
+function onEditorKeyDown(event) {
+  // While walking, WASD moves the camera instead
+  if (!editor.enabled || isWalking() || isFormTarget(event.target) || event.ctrlKey || event.metaKey) return;
+  const key = event.key.toLowerCase();
+  if (key === 't') setTransformMode('translate');
+  else if (key === 'r') setTransformMode('rotate');
+  else if (key === 'd') duplicateSelection();
+  else if (key === 'delete' || key === 'backspace') deleteSelection();
+  else if (key === 'escape') deselectForEdit();
+}
+
+/**
+ * Creates the transform gizmo and wires the edit toolbar buttons.
+ */
+function setupEditor() {
+  transformControls = new THREE.TransformControls(camera, renderer.domElement);
+  transformControls.setSpace('world');
+  transformControls.setRotationSnap(THREE.MathUtils.degToRad(ROTATION_SNAP_DEG));
+  setTransformMode('translate');
+  transformControls.addEventListener('dragging-changed', (event) => {
+    controls.enabled = !event.value;
+  });
+  transformControls.addEventListener('objectChange', snapSelection);
+  transformControls.addEventListener('mouseDown', () => {
+    if (editor.selected) editor.dragStart = getEntryPlacement(findLayoutEntry(kitchen.layout, editor.selected.userData.layoutId));
+  });
+  transformControls.addEventListener('mouseUp', () => {
+    editor.suppressClick = true;
+    commitSelectionTransform();
+  });
+  scene.add(transformControls);
+
+  // A rebuilt kitchen replaces every object, so drop the selection
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    if (event.detail.reason === 'rebuild') {
+      deselectForEdit();
+      if (editor.enabled) setEditMode(true);
+    }
+  });
+
+  editButton.addEventListener('click', () => setEditMode(!editor.enabled));
+  saveLayoutButton.addEventListener('click', saveLayoutFile);
+  openLayoutButton.addEventListener('click', () => layoutFileInput.click());
+  layoutFileInput.addEventListener('change', () => {
+    if (layoutFileInput.files[0]) openLayoutFile(layoutFileInput.files[0]);
+    layoutFileInput.value = '';
+  });
+  window.addEventListener('keydown', onEditorKeyDown);
+}
@@ -0,0 +1,140 @@
+// --- Wall Elevations ---
+// One elevation per cabinet run, seen from its front: the cabinets, countertop
+// and backsplash and everything in front of or above the run (sink, cooktop,
+// oven, wall cabinets, hood, wall-mounted appliances), projected
+// orthographically onto the run's back plane. Every visible part is drawn as
+// the outline of its box, nearest parts last so they hide what is behind them.
+// Dimensions give the module widths, run length, counter and backsplash
+// heights, and the mounting height and size of everything above the counter.
+
+const ELEVATION_MARGIN = 1.2;      // space around the drawing, in scene units
+const ELEVATION_REACH = 0.5;       // items this far past a run's ends or front are drawn with it
+const ELEVATION_WALL_SNAP = 0.2;   // a run backing onto a wall face within this distance is that wall's elevation
+const ELEVATION_MIN_PART = 0.005;  // parts thinner than this in the view (panels seen edge-on) are left out
+
+/**
+ * The wall face (see roomWallFaces) a run's back stands against, or null for a
+ * peninsula or a free-standing run.
+ */
+function runWallFace(rect) {
+  const back = footprintWorldPoint(rect, 0, -rect.halfZ);
+  const front = footprintAxes(rect)[1];
+  return roomWallFaces().find(({ axis, plane, sign }) => front[axis] * sign > 0.99 && Math.abs(back[axis] - plane) < ELEVATION_WALL_SNAP) || null;
+}
+
+/**
+ * One sheet per visible cabinet run, for drawingSheets().
+ */
+function elevationSheets() {
+  return (kitchen.layout.runs || []).filter(run => kitchen.objects.get(run.id)?.visible).map((run) => {
+    const face = runWallFace(getFootprint(kitchen.objects.get(run.id)));
+    const label = face ? `${face.side.charAt(0).toUpperCase()}${face.side.slice(1)} wall elevation` : `${entryLabel(run)} elevation`;
+    const title = face ? `${label} (${entryLabel(run)})` : label;
+    return { key: `elevation-${run.id}`, label, file: `elevation-${fileSlug(run.id)}`, render: () => renderElevationSvg(run.id, title) };
+  });
+}
+
+/**
+ * Boxes of an object's visible meshes in a run's view frame: x along the run
+ * (left to right seen from the front), y the height above the floor, z toward
+ * the viewer.
+ */
+function elevationBoxes(object, toView) {
+  const boxes = [];
+  const matrix = new THREE.Matrix4();
+  object.updateWorldMatrix(true, true);
+  object.traverseVisible((mesh) => {
+    if (!mesh.isMesh) return;
+    if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+    matrix.multiplyMatrices(toView, mesh.matrixWorld);
+    const box = mesh.geometry.boundingBox.clone().applyMatrix4(matrix);
+    if (box.max.x - box.min.x > ELEVATION_MIN_PART && box.max.y - box.min.y > ELEVATION_MIN_PART) boxes.push({ box, mesh });
+  });
+  return boxes;
+}
+
+// Elevation points: x along the run, y height; SVG y runs downward
+function elevationPoint(x, y) {
+  return new THREE.Vector2(x, -y);
+}
+
+/**
+ * The elevation of a cabinet run as an SVG document.
+ */
+function renderElevationSvg(runId, title) {
+  const { wallHeight } = kitchen.layout.room;
+  const { height: cabinetHeight } = kitchen.layout.cabinets;
+  const entry = findLayoutEntry(kitchen.layout, runId);
+  const run = kitchen.objects.get(runId);
+  const rect = getFootprint(run);
+  const toView = new THREE.Matrix4().makeRotationY(rect.yaw).setPosition(rect.center.x, 0, rect.center.y).invert();
+  const counterTop = rect.maxY;
+
+  // The run, and the drawn objects in front of and above it
+  const items = [];
+  kitchen.objects.forEach((object) => {
+    if (object === run || !isDrawnObject(object) || object.userData.type === 'cabinetRun') return;
+    const local = footprintLocalPoint(rect, getFootprint(object).center);
+    if (Math.abs(local.x) > rect.halfX + ELEVATION_REACH || Math.abs(local.y) > rect.halfZ + ELEVATION_REACH) return;
+    const boxes = elevationBoxes(object, toView);
+    if (boxes.length === 0) return;
+    const bounds = boxes.reduce((union, { box }) => union.union(box), new THREE.Box3());
+    items.push({ object, boxes, bounds });
+  });
+  const runBoxes = elevationBoxes(run, toView);
+  const allBoxes = [...runBoxes, ...items.flatMap(item => item.boxes)];
+  const extent = allBoxes.reduce((union, { box }) => union.union(box), new THREE.Box3());
+
+  const minX = Math.min(extent.min.x, -rect.halfX) - ELEVATION_MARGIN - 0.6;
+  const maxX = Math.max(extent.max.x, rect.halfX) + ELEVATION_MARGIN + 0.4;
+  const top = Math.max(wallHeight, extent.max.y) + 0.9;
+  const bottom = ELEVATION_MARGIN + 1.0;
+  const parts = [];
+
+  // Wall behind a run that stands against one, floor and ceiling lines
+  if (runWallFace(rect)) {
+    parts.push(`<rect x="${minX + 0.3}" y="${-wallHeight}" width="${maxX - minX - 0.6}" height="${wallHeight}" fill="#eef1f4"/>`);
+  }
+  parts.push(svgLine(elevationPoint(minX + 0.3, 0), elevationPoint(maxX - 0.3, 0), `stroke="${PLAN_COLORS.wall}" stroke-width="0.05"`));
+  parts.push(svgLine(elevationPoint(minX + 0.3, wallHeight), elevationPoint(maxX - 0.3, wallHeight), `stroke="${PLAN_COLORS.overhead}" stroke-width="0.02" stroke-dasharray="0.15 0.1"`));
+  parts.push(`<text x="${minX + 0.35}" y="${-wallHeight - 0.08}" font-size="0.18" fill="${PLAN_COLORS.overhead}">Ceiling ${formatMeters(wallHeight)}</text>`);
+
+  // Parts from back to front, so nearer ones cover farther ones
+  const runMeshes = new Set(runBoxes.map(({ mesh }) => mesh));
+  allBoxes.sort((a, b) => a.box.max.z - b.box.max.z).forEach(({ box, mesh }) => {
+    const fill = runMeshes.has(mesh) ? '#f5f7fa' : '#ffffff';
+    parts.push(`<rect x="${box.min.x.toFixed(3)}" y="${(-box.max.y).toFixed(3)}" width="${(box.max.x - box.min.x).toFixed(3)}" height="${(box.max.y - box.min.y).toFixed(3)}" fill="${fill}" stroke="${PLAN_COLORS.line}" stroke-width="0.012"/>`);
+  });
+
+  // Module widths and the run length below the floor line
+  const down = new THREE.Vector2(0, 1);
+  // Modules hidden in the outliner are left out, as their boxes are
+  run.children.filter(child => child.userData.cabinetModule && child.visible).forEach((module) => {
+    if (!module.geometry.boundingBox) module.geometry.computeBoundingBox();
+    const matrix = new THREE.Matrix4().multiplyMatrices(toView, module.matrixWorld);
+    const box = module.geometry.boundingBox.clone().applyMatrix4(matrix);
+    parts.push(svgDimension(elevationPoint(box.min.x, 0), elevationPoint(box.max.x, 0), down, 0.35, { size: 0.16, units: false }));
+  });
+  parts.push(svgDimension(elevationPoint(-rect.halfX, 0), elevationPoint(rect.halfX, 0), down, 0.85));
+
+  // Counter and backsplash heights at the left end
+  const left = new THREE.Vector2(-1, 0);
+  parts.push(svgDimension(elevationPoint(-rect.halfX, 0), elevationPoint(-rect.halfX, counterTop), left, 0.35, { label: 'Counter top' }));
+  if (entry.backsplash) {
+    const backsplashTop = cabinetHeight + entry.backsplash.height;
+    parts.push(svgDimension(elevationPoint(-rect.halfX, 0), elevationPoint(-rect.halfX, backsplashTop), left, 0.8, { label: 'Backsplash top' }));
+  }
+
+  // Items above the counter: mounting height and height at the right, width above
+  const right = new THREE.Vector2(1, 0);
+  const up = new THREE.Vector2(0, -1);
+  items.filter(({ bounds }) => bounds.min.y >= counterTop + 0.1).forEach(({ object, bounds }) => {
+    const { min, max } = bounds;
+    parts.push(svgDimension(elevationPoint(max.x, 0), elevationPoint(max.x, min.y), right, 0.3, { label: object.userData.name || entryLabel(findLayoutEntry(kitchen.layout, object.userData.layoutId)) }));
+    parts.push(svgDimension(elevationPoint(max.x, min.y), elevationPoint(max.x, max.y), right, 0.3));
+    parts.push(svgDimension(elevationPoint(min.x, max.y), elevationPoint(max.x, max.y), up, 0.3));
+  });
+
+  parts.push(svgTitle(minX + 0.3, 1.45, title, 'Seen from the front of the run. Dimensions in m, heights from the floor.'));
+  return svgSheet(minX, -top, maxX - minX, top + bottom, parts);
+}
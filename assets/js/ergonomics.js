@@ -0,0 +1,249 @@
+// --- Work Triangle and Ergonomics ---
+// Measures the sink-cooktop-refrigerator work triangle, countertop heights and
+// landing space beside the sink and cooktop against NKBA-style guidelines, and
+// draws the triangle and landing areas in the scene.
+
+// Guidelines in metres; a layout can override any of these in its "ergonomics" section
+const DEFAULT_ERGONOMICS = {
+  legMin: 1.2,                   // 4 ft
+  legMax: 2.7,                   // 9 ft
+  perimeterMax: 7.9,             // 26 ft
+  counterHeightMin: 0.86,        // 34 in
+  counterHeightMax: 0.97,        // 38 in
+  sinkLanding: [0.61, 0.46],     // 24 in on one side, 18 in on the other
+  cooktopLanding: [0.38, 0.30],  // 15 in on one side, 12 in on the other
+  workCenters: {}                // role -> layout id; defaults to the first component of that type
+};
+// Work center roles, which double as the component type looked up for each
+const WORK_CENTER_ROLES = ['sink', 'cooktop', 'refrigerator'];
+const ROLE_LABELS = { sink: 'Sink', cooktop: 'Cooktop', refrigerator: 'Refrigerator' };
+const RESULT_COLORS = { pass: 0x34c759, fail: 0xff3b30 };
+const RESULT_CLASSES = { pass: 'text-green-300', fail: 'text-red-300', missing: 'text-gray-400' };
+const RESULT_MARKS = { pass: '✓', fail: '✗', missing: '–' };
+
+const ergonomicsPanel = document.getElementById('ergonomics-panel');
+const ergonomicsButton = document.getElementById('btn-ergonomics');
+const ergonomicsSummary = document.getElementById('ergonomics-summary');
+const ergonomicsList = document.getElementById('ergonomics-results');
+
+let ergonomicsOverlay = null;
+
+function getErgonomicsSettings() {
+  const overrides = kitchen.layout.ergonomics || {};
+  return { ...DEFAULT_ERGONOMICS, ...overrides, workCenters: { ...overrides.workCenters } };
+}
+
+function formatRange(min, max) {
+  return `${min.toFixed(2)}–${formatMeters(max)}`;
+}
+
+/**
+ * Countertop (run or island) whose footprint holds a floor point, if any.
+ */
+function findHostSurface(point, surfaces) {
+  return surfaces.find((surface) => {
+    const local = footprintLocalPoint(surface, point);
+    return Math.abs(local.x) <= surface.halfX && Math.abs(local.y) <= surface.halfZ;
+  }) || null;
+}
+
+/**
+ * Finds the work centers as { role, id, footprint, host, point }. The triangle
+ * is measured between center-front points: the countertop's front edge for
+ * fixtures set into a counter, the object's own front otherwise.
+ */
+function findWorkCenters(settings, surfaces) {
+  const centers = {};
+  WORK_CENTER_ROLES.forEach((role) => {
+    const id = settings.workCenters[role] ?? (kitchen.layout.components || []).find(entry => entry.type === role)?.id;
+    const object = id ? kitchen.objects.get(id) : null;
+    if (!object || !object.visible) return;
+    const footprint = getFootprint(object);
+    const host = findHostSurface(footprint.center, surfaces);
+    const point = host
+      ? footprintWorldPoint(host, footprintLocalPoint(host, footprint.center).x, host.halfZ)
+      : footprintWorldPoint(footprint, 0, footprint.halfZ);
+    centers[role] = { role, id, footprint, host, point };
+  });
+  return centers;
+}
+
+function checkWorkTriangle(centers, settings, results) {
+  const { legMin, legMax, perimeterMax } = settings;
+  WORK_CENTER_ROLES.filter(role => !centers[role]).forEach((role) => {
+    results.push({ status: 'missing', message: `${ROLE_LABELS[role]}: not in the layout, legs to it are not measured` });
+  });
+
+  let perimeter = 0;
+  const legs = [['sink', 'cooktop'], ['cooktop', 'refrigerator'], ['refrigerator', 'sink']];
+  legs.forEach(([a, b]) => {
+    if (!centers[a] || !centers[b]) return;
+    const length = centers[a].point.distanceTo(centers[b].point);
+    perimeter += length;
+    results.push({
+      status: length >= legMin && length <= legMax ? 'pass' : 'fail',
+      message: `${ROLE_LABELS[a]} – ${ROLE_LABELS[b].toLowerCase()} leg: ${formatMeters(length)} (${formatRange(legMin, legMax)})`,
+      line: [centers[a].point, centers[b].point]
+    });
+  });
+
+  if (WORK_CENTER_ROLES.every(role => centers[role])) {
+    results.push({
+      status: perimeter <= perimeterMax ? 'pass' : 'fail',
+      message: `Triangle perimeter: ${formatMeters(perimeter)} (max ${formatMeters(perimeterMax)})`
+    });
+  }
+}
+
+function checkCounterHeights(surfaces, settings, results) {
+  const { counterHeightMin, counterHeightMax } = settings;
+  surfaces.forEach((surface) => {
+    const height = surface.maxY;
+    results.push({
+      status: height >= counterHeightMin && height <= counterHeightMax ? 'pass' : 'fail',
+      message: `${surfaceName(surface)} height: ${formatMeters(height)} (${formatRange(counterHeightMin, counterHeightMax)})`
+    });
+  });
+}
+
+/**
+ * Clear counter on either side of a fixture along its countertop, up to the
+ * counter end or the next work center on the same counter. Distances are along
+ * the host's local X; returns { minX, maxX, left, right }.
+ */
+function measureLanding(center, centers) {
+  const { host } = center;
+  const extent = (footprint) => {
+    const xs = footprintCorners(footprint).map(p => footprintLocalPoint(host, p).x);
+    return [Math.min(...xs), Math.max(...xs)];
+  };
+  const [minX, maxX] = extent(center.footprint);
+  let leftEnd = -host.halfX;
+  let rightEnd = host.halfX;
+  Object.values(centers).forEach((other) => {
+    if (other === center || other.host !== host) return;
+    const [otherMin, otherMax] = extent(other.footprint);
+    if (otherMax <= minX) leftEnd = Math.max(leftEnd, otherMax);
+    else if (otherMin >= maxX) rightEnd = Math.min(rightEnd, otherMin);
+  });
+  return { minX, maxX, left: Math.max(minX - leftEnd, 0), right: Math.max(rightEnd - maxX, 0) };
+}
+
+/**
+ * Landing space needs [major, minor] metres of counter, one on each side;
+ * the larger requirement goes on the side with more counter.
+ */
+function checkLanding(center, centers, required, results) {
+  if (!center) return; // already reported as missing
+  const label = `${ROLE_LABELS[center.role]} landing`;
+  if (!center.host) {
+    results.push({ status: 'missing', message: `${label}: not set into a countertop` });
+    return;
+  }
+  const landing = measureLanding(center, centers);
+  const [major, minor] = required;
+  const needLeft = landing.left >= landing.right ? major : minor;
+  const needRight = needLeft === major ? minor : major;
+  const zones = [
+    { host: center.host, from: landing.minX - needLeft, to: landing.minX, ok: landing.left >= needLeft },
+    { host: center.host, from: landing.maxX, to: landing.maxX + needRight, ok: landing.right >= needRight }
+  ];
+  const [bigger, smaller] = [landing.left, landing.right].sort((a, b) => b - a);
+  results.push({
+    status: zones.every(zone => zone.ok) ? 'pass' : 'fail',
+    message: `${label}: ${formatMeters(bigger)} and ${formatMeters(smaller)} (min ${formatMeters(major)} and ${formatMeters(minor)})`,
+    zones
+  });
+}
+
+/**
+ * Runs every ergonomics check against the current kitchen.
+ * Returns { centers, results } with results as
+ * { status: 'pass'|'fail'|'missing', message, line?, zones? }.
+ */
+function analyzeErgonomics() {
+  const settings = getErgonomicsSettings();
+  const surfaces = [...kitchen.objects.values()]
+    .filter(object => object.visible && object.userData.surface)
+    .map(getFootprint);
+  const centers = findWorkCenters(settings, surfaces);
+  const results = [];
+  checkWorkTriangle(centers, settings, results);
+  checkCounterHeights(surfaces, settings, results);
+  checkLanding(centers.sink, centers, settings.sinkLanding, results);
+  checkLanding(centers.cooktop, centers, settings.cooktopLanding, results);
+  return { centers, results };
+}
+
+function clearErgonomicsOverlay() {
+  if (!ergonomicsOverlay) return;
+  scene.remove(ergonomicsOverlay);
+  ergonomicsOverlay.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+  });
+  ergonomicsOverlay = null;
+}
+
+/**
+ * Draws the work triangle just above the highest countertop, and the required
+ * landing areas on the counters, colored by result.
+ */
+function showErgonomicsOverlay({ centers, results }) {
+  clearErgonomicsOverlay();
+  ergonomicsOverlay = new THREE.Group();
+  ergonomicsOverlay.name = 'ergonomics-overlay';
+  const tops = Object.values(centers).map(center => (center.host ? center.host.maxY : center.footprint.maxY));
+  const lineY = Math.max(0, ...tops) + 0.05;
+
+  Object.values(centers).forEach((center) => {
+    const marker = new THREE.Mesh(new THREE.SphereGeometry(0.08, 16, 12), new THREE.MeshBasicMaterial({ color: 0xffffff, depthTest: false }));
+    marker.position.set(center.point.x, lineY, center.point.y);
+    marker.renderOrder = 10;
+    ergonomicsOverlay.add(marker);
+  });
+
+  results.forEach((result) => {
+    if (result.line) {
+      const points = result.line.map(p => new THREE.Vector3(p.x, lineY, p.y));
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color: RESULT_COLORS[result.status], depthTest: false }));
+      line.renderOrder = 10;
+      ergonomicsOverlay.add(line);
+    }
+    (result.zones || []).forEach(({ host, from, to, ok }) => {
+      const material = new THREE.MeshBasicMaterial({ color: ok ? RESULT_COLORS.pass : RESULT_COLORS.fail, transparent: true, opacity: 0.4, depthWrite: false });
+      const zone = new THREE.Mesh(new THREE.BoxGeometry(to - from, 0.01, host.halfZ * 2 - 0.1), material);
+      const center = footprintWorldPoint(host, (from + to) / 2, 0);
+      zone.position.set(center.x, host.maxY + 0.01, center.y);
+      zone.rotation.y = host.yaw;
+      ergonomicsOverlay.add(zone);
+    });
+  });
+  scene.add(ergonomicsOverlay);
+}
+
+/**
+ * Re-runs the analysis and refreshes the panel and overlay.
+ */
+function refreshErgonomics() {
+  const analysis = analyzeErgonomics();
+  const { results } = analysis;
+  const measured = results.filter(result => result.status !== 'missing');
+  const passed = measured.filter(result => result.status === 'pass').length;
+  const missing = results.length - measured.length;
+  ergonomicsSummary.textContent = `${passed} of ${measured.length} checks pass` + (missing ? `, ${missing} not measured.` : '.');
+  ergonomicsList.replaceChildren(...results.map((result) => {
+    const li = document.createElement('li');
+    li.textContent = `${RESULT_MARKS[result.status]} ${result.message}`;
+    li.className = RESULT_CLASSES[result.status];
+    return li;
+  }));
+  showErgonomicsOverlay(analysis);
+}
+
+function setupErgonomics() {
+  registerToolPanel(ergonomicsPanel, ergonomicsButton, { onOpen: refreshErgonomics, onClose: clearErgonomicsOverlay });
+  window.addEventListener(LAYOUT_CHANGE_EVENT, () => {
+    if (isToolPanelOpen(ergonomicsPanel)) refreshErgonomics();
+  });
+}
@@ -0,0 +1,59 @@
+// --- Export ---
+
+const exportGlbButton = document.getElementById('btn-export-glb');
+
+/**
+ * Turns a display name into a safe file name stem.
+ */
+function fileSlug(name) {
+  return (name || 'kitchen').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'kitchen';
+}
+
+/**
+ * Saves a Blob through a temporary download link.
+ */
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Serializes the built kitchen to binary glTF. Canvas textures are baked into
+ * the file and each object's userData (component name, details, specs,
+ * layout id) is written to the node's glTF `extras`.
+ */
+function exportKitchenGLB() {
+  // An isolated view exports with every item's own materials, not the faded ones
+  const refade = unfadeMaterials();
+  return new Promise((resolve) => {
+    const exporter = new THREE.GLTFExporter();
+    exporter.parse(kitchen.root, resolve, {
+      binary: true,
+      onlyVisible: true, // leave out items hidden in the outliner
+      maxTextureSize: 2048
+    });
+  }).finally(refade);
+}
+
+/**
+ * Wires the export toolbar button.
+ */
+function setupExport() {
+  exportGlbButton.addEventListener('click', async () => {
+    exportGlbButton.disabled = true;
+    try {
+      const glb = await exportKitchenGLB();
+      downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), `${fileSlug(kitchen.layout.name)}.glb`);
+    } catch (err) {
+      console.error('GLB export failed:', err);
+    } finally {
+      exportGlbButton.disabled = false;
+    }
+  });
+}
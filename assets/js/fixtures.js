@@ -0,0 +1,99 @@
+// --- Light Fixture Controls ---
+// Double-clicking a light fixture switches it on or off, and its info panel has
+// a switch and a dimmer. The state is written to the fixture's layout params
+// ("on", "dim"), so Save layout keeps it. Lighting scenarios can override the
+// level of any fixture for as long as they are active.
+
+const fixtureControls = document.getElementById('fixture-controls');
+const fixtureToggleButton = document.getElementById('btn-fixture-toggle');
+const fixtureDimInput = document.getElementById('fixture-dim');
+const fixtureDimLabel = document.getElementById('fixture-dim-label');
+
+let shownFixtureId = null; // fixture whose controls the info panel shows
+
+function isFixture(object) {
+  return Boolean(object?.userData.fixture);
+}
+
+// Switch and dimmer level as stored in a fixture entry
+function entryFixtureState(entry) {
+  return { on: entry.params?.on ?? true, dim: entry.params?.dim ?? 1 };
+}
+
+/**
+ * Switches or dims a fixture and records the new state in its layout entry.
+ */
+function setFixtureState(id, state) {
+  const entry = findLayoutEntry(kitchen.layout, id);
+  entry.params = { ...entry.params, ...state };
+  applyFixtureState(kitchen.objects.get(id), entryFixtureState(entry));
+  if (id === shownFixtureId) updateFixtureControls();
+}
+
+function toggleFixture(id) {
+  const { on } = kitchen.objects.get(id).userData.fixture;
+  setFixtureState(id, { on: !on });
+}
+
+/**
+ * Toggles the fixture owning a picked object. Returns true if there was one.
+ */
+function toggleFixtureAt(object) {
+  const root = findLayoutRoot(object);
+  if (!isFixture(root)) return false;
+  toggleFixture(root.userData.layoutId);
+  return true;
+}
+
+/**
+ * Sets fixtures to scenario levels ({ id: level }, 0 for off) without
+ * changing the layout; resetFixtures() puts them back.
+ */
+function applyFixtureLevels(levels = {}) {
+  Object.entries(levels).forEach(([id, level]) => {
+    const object = kitchen.objects.get(id);
+    if (!isFixture(object)) {
+      console.warn(`Lighting scenario uses unknown light fixture "${id}"`);
+      return;
+    }
+    applyFixtureState(object, level > 0 ? { on: true, dim: level } : { on: false, dim: object.userData.fixture.dim });
+  });
+  updateFixtureControls();
+}
+
+/**
+ * Puts every fixture back to the state in its layout entry.
+ */
+function resetFixtures() {
+  kitchen.objects.forEach((object, id) => {
+    if (isFixture(object)) applyFixtureState(object, entryFixtureState(findLayoutEntry(kitchen.layout, id)));
+  });
+  updateFixtureControls();
+}
+
+/**
+ * Shows the switch and dimmer in the info panel for a clicked fixture (by its
+ * component data), and hides them for anything else.
+ */
+function showFixtureControls(data) {
+  shownFixtureId = data?.fixture ? data.layoutId : null;
+  updateFixtureControls();
+}
+
+function updateFixtureControls() {
+  const object = shownFixtureId && kitchen.objects.get(shownFixtureId);
+  if (!isFixture(object)) shownFixtureId = null;
+  fixtureControls.classList.toggle('hidden', !shownFixtureId);
+  if (!shownFixtureId) return;
+  const { on, dim } = object.userData.fixture;
+  fixtureToggleButton.textContent = on ? 'Switch off' : 'Switch on';
+  fixtureDimInput.value = dim;
+  fixtureDimLabel.textContent = on ? `${Math.round(dim * 100)}%` : 'Off';
+}
+
+function setupFixtures() {
+  fixtureToggleButton.addEventListener('click', () => toggleFixture(shownFixtureId));
+  // Moving the dimmer switches the light on
+  fixtureDimInput.addEventListener('input', () => setFixtureState(shownFixtureId, { on: true, dim: Number(fixtureDimInput.value) }));
+  window.addEventListener(LAYOUT_CHANGE_EVENT, updateFixtureControls);
+}
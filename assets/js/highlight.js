@@ -0,0 +1,163 @@
+// --- Hover and Selection Highlight ---
+// Pointing at a component outlines it and shows its name in a tooltip by the
+// cursor, so it is clear what a click would pick. The component shown in the
+// details panel keeps an outline of its own until the panel closes. Picking
+// follows the pointer at most every HOVER_PICK_INTERVAL; hovering is off while
+// walking, measuring or dragging the edit gizmo, where the pointer does other
+// work.
+
+const HOVER_PICK_INTERVAL = 0.06;  // seconds between hover picks
+const HOVER_COLOR = 0x9fd8ff;
+const SELECTION_COLOR = 0xffb020;
+const OUTLINE_MARGIN = 0.02;       // gap between an outline and what it surrounds
+const TOOLTIP_OFFSET = 14;         // pixels from the cursor to the tooltip
+
+const hoverTooltip = document.getElementById('hover-tooltip');
+
+const highlightState = {
+  pointer: null,     // { clientX, clientY } of the last move over the canvas, until picked
+  lastPick: 0,       // clock time of the last hover pick
+  hover: null,       // { object, outline } under the pointer; no outline of its own while selected
+  selection: null    // { object, outline } shown in the details panel
+};
+
+/**
+ * An outline box around an object's visible meshes, in the object's own
+ * frame; updateOutline() keeps it on the object as it moves.
+ */
+function createOutline(object, color) {
+  const bounds = getLocalBounds(object).expandByScalar(OUTLINE_MARGIN);
+  const size = bounds.getSize(new THREE.Vector3());
+  const box = new THREE.BoxGeometry(size.x, size.y, size.z);
+  const outline = new THREE.LineSegments(new THREE.EdgesGeometry(box), new THREE.LineBasicMaterial({ color, depthTest: false }));
+  box.dispose();
+  outline.name = 'highlight-outline';
+  outline.matrixAutoUpdate = false;
+  outline.renderOrder = 10;
+  outline.userData.offset = new THREE.Matrix4().makeTranslation(...bounds.getCenter(new THREE.Vector3()).toArray());
+  scene.add(outline);
+  return outline;
+}
+
+function disposeOutline(outline) {
+  if (!outline) return;
+  scene.remove(outline);
+  outline.geometry.dispose();
+  outline.material.dispose();
+}
+
+function updateOutline({ object, outline }) {
+  if (!outline) return;
+  // Turntable videos leave the outlines out
+  outline.visible = isObjectShown(object) && !captureState.turntable;
+  outline.matrix.multiplyMatrices(object.matrixWorld, outline.userData.offset);
+}
+
+// Whether an object is still part of the built kitchen
+function isInKitchen(object) {
+  return Boolean(kitchen.root.getObjectById(object.id));
+}
+
+// --- Hover ---
+
+function hoverEnabled() {
+  return !isWalking() && !isMeasuring() && !editor.dragStart;
+}
+
+/**
+ * Outlines a component as the one under the pointer and names it, with the
+ * part the pointer is on, in the tooltip; clears the hover for null.
+ */
+function setHovered(object, part = null) {
+  if (object) hoverTooltip.textContent = componentLabel(object, part);
+  hoverTooltip.classList.toggle('visible', Boolean(object));
+  if ((highlightState.hover?.object ?? null) === object) return;
+  disposeOutline(highlightState.hover?.outline);
+  highlightState.hover = object ? { object, outline: null } : null;
+  refreshHoverOutline();
+  renderer.domElement.style.cursor = object ? 'pointer' : '';
+}
+
+// The selection outline stands in for the hover outline on the same object
+function refreshHoverOutline() {
+  const { hover, selection } = highlightState;
+  if (!hover) return;
+  const covered = hover.object === selection?.object;
+  if (covered && hover.outline) {
+    disposeOutline(hover.outline);
+    hover.outline = null;
+  } else if (!covered && !hover.outline) {
+    hover.outline = createOutline(hover.object, HOVER_COLOR);
+  }
+}
+
+// Hovers the nearest unlocked component under a pointer position, as a click would pick it
+function hoverComponentAt(pointer) {
+  const hit = pickKitchen(pointer).find(({ object }) => !isObjectLocked(object) && findComponentObject(object));
+  if (!hit) {
+    setHovered(null);
+    return;
+  }
+  const component = findComponentObject(hit.object);
+  setHovered(component, findComponentPart(hit.object, component));
+}
+
+// --- Selection ---
+
+/**
+ * Keeps an outline on the component shown in the details panel, or drops it for null.
+ */
+function setSelectionHighlight(object) {
+  if ((highlightState.selection?.object ?? null) === object) return;
+  disposeOutline(highlightState.selection?.outline);
+  highlightState.selection = object ? { object, outline: createOutline(object, SELECTION_COLOR) } : null;
+  refreshHoverOutline();
+}
+
+/**
+ * Picks what is under the pointer (throttled) and keeps the outlines on their
+ * objects; called every frame.
+ */
+function updateHighlight() {
+  const { pointer } = highlightState;
+  const now = clock.elapsedTime;
+  if (pointer && now - highlightState.lastPick >= HOVER_PICK_INTERVAL) {
+    highlightState.pointer = null;
+    highlightState.lastPick = now;
+    if (hoverEnabled()) hoverComponentAt(pointer);
+    else setHovered(null);
+  }
+  if (highlightState.hover) updateOutline(highlightState.hover);
+  if (highlightState.selection) updateOutline(highlightState.selection);
+}
+
+function setupHighlight() {
+  const canvas = renderer.domElement;
+  canvas.addEventListener('pointermove', (event) => {
+    highlightState.pointer = { clientX: event.clientX, clientY: event.clientY };
+    hoverTooltip.style.left = `${event.clientX + TOOLTIP_OFFSET}px`;
+    hoverTooltip.style.top = `${event.clientY + TOOLTIP_OFFSET}px`;
+  });
+  canvas.addEventListener('pointerleave', () => {
+    highlightState.pointer = null;
+    setHovered(null);
+  });
+
+  // Rebuilt or removed objects lose their outlines; moved or refinished ones are outlined afresh
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    if (event.detail.reason === 'visibility') return;
+    const { hover } = highlightState;
+    if (hover && isInKitchen(hover.object)) {
+      disposeOutline(hover.outline);
+      hover.outline = null;
+      refreshHoverOutline();
+    } else {
+      setHovered(null);
+    }
+    const selected = highlightState.selection?.object;
+    if (!selected) return;
+    setSelectionHighlight(null);
+    if (isInKitchen(selected)) setSelectionHighlight(selected);
+    else hideComponentInfo();
+  });
+}
@@ -0,0 +1,72 @@
+// --- Undo / Redo ---
+// Edits are recorded as commands { label, undo, redo } once they have been
+// applied. Ctrl+Z undoes the last one, Ctrl+Shift+Z (or Ctrl+Y) redoes it.
+// Commands hold references into the built kitchen, so a rebuild clears them.
+
+const HISTORY_LIMIT = 100;
+
+const undoButton = document.getElementById('btn-undo');
+const redoButton = document.getElementById('btn-redo');
+
+const editHistory = { done: [], undone: [] };
+
+/**
+ * Records an edit that has just been applied. A new edit drops the redo stack.
+ */
+function recordCommand(command) {
+  editHistory.done.push(command);
+  if (editHistory.done.length > HISTORY_LIMIT) editHistory.done.shift();
+  editHistory.undone = [];
+  updateHistoryButtons();
+}
+
+function undoCommand() {
+  const command = editHistory.done.pop();
+  if (!command) return;
+  command.undo();
+  editHistory.undone.push(command);
+  updateHistoryButtons();
+}
+
+function redoCommand() {
+  const command = editHistory.undone.pop();
+  if (!command) return;
+  command.redo();
+  editHistory.done.push(command);
+  updateHistoryButtons();
+}
+
+function clearHistory() {
+  editHistory.done = [];
+  editHistory.undone = [];
+  updateHistoryButtons();
+}
+
+function updateHistoryButtons() {
+  const last = editHistory.done[editHistory.done.length - 1];
+  const next = editHistory.undone[editHistory.undone.length - 1];
+  undoButton.disabled = !last;
+  redoButton.disabled = !next;
+  undoButton.title = last ? `Undo ${last.label} (Ctrl+Z)` : 'Nothing to undo';
+  redoButton.title = next ? `Redo ${next.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+}
+
+function onHistoryKeyDown(event) {
+  // Form fields keep their own undo and keys
+  if (!(event.ctrlKey || event.metaKey) || isFormTarget(event.target)) return;
+  const key = event.key.toLowerCase();
+  if (key === 'z' && !event.shiftKey) undoCommand();
+  else if ((key === 'z' && event.shiftKey) || key === 'y') redoCommand();
+  else return;
+  event.preventDefault();
+}
+
+function setupHistory() {
+  undoButton.addEventListener('click', undoCommand);
+  redoButton.addEventListener('click', redoCommand);
+  window.addEventListener('keydown', onHistoryKeyDown);
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    if (event.detail.reason === 'rebuild') clearHistory();
+  });
+  updateHistoryButtons();
+}
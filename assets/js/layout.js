@@ -0,0 +1,169 @@
+// --- Layout Loading ---
+// A layout file (see assets/layouts/) describes the room, cabinet runs,
+// textures, materials and component placements. buildLayout() turns it into
+// a scene graph using the builders in builders.js.
+
+const LAYOUT_DIR = 'assets/layouts/';
+// Fired on window whenever the kitchen or its layout changes; detail.reason says why
+const LAYOUT_CHANGE_EVENT = 'kitchen:layoutchange';
+
+/**
+ * Resolves the layout URL from the `?layout=<name>` query parameter.
+ */
+function getLayoutUrl() {
+  const name = new URLSearchParams(window.location.search).get('layout') || 'default';
+  return `${LAYOUT_DIR}${encodeURIComponent(name)}.json`;
+}
+
+/**
+ * Fetches and parses a layout file.
+ */
+async function loadLayout(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load layout "${url}" (HTTP ${response.status})`);
+  }
+  return response.json();
+}
+
+/**
+ * Creates one procedural texture from its layout definition, as the set of
+ * maps made by createSurfaceTextures(). Its random features are seeded with
+ * the texture's key unless the params give a `seed`.
+ */
+function createTexture(key, def) {
+  const generator = TEXTURE_GENERATORS[def.generator];
+  if (!generator) {
+    throw new Error(`Unknown texture generator "${def.generator}" for texture "${key}"`);
+  }
+  const set = generator({ seed: key, ...def.params });
+  if (def.repeat) set.map.repeat.fromArray(def.repeat);
+  return set;
+}
+
+/**
+ * Creates the named procedural textures of a layout.
+ */
+function createTextures(defs) {
+  const textures = {};
+  Object.entries(defs).forEach(([key, def]) => {
+    textures[key] = createTexture(key, def);
+  });
+  return textures;
+}
+
+/**
+ * Creates the named materials of a layout; `map` refers to a texture key, whose
+ * normal and roughness maps come with it.
+ */
+function createMaterials(defs, textures) {
+  const materials = {};
+  Object.entries(defs).forEach(([key, def]) => {
+    const { type, map, ...props } = def;
+    if (map) {
+      if (!textures[map]) throw new Error(`Unknown texture "${map}" for material "${key}"`);
+      Object.assign(props, textures[map]);
+    }
+    const material = type === 'basic' ? new THREE.MeshBasicMaterial(props) : new THREE.MeshStandardMaterial(props);
+    material.name = key;
+    materials[key] = material;
+  });
+  return materials;
+}
+
+/**
+ * Builds one component entry and tags the result with its layout id and type.
+ */
+function buildEntry(entry, ctx) {
+  const builder = COMPONENT_BUILDERS[entry.type];
+  if (!builder) {
+    throw new Error(`Unknown component type "${entry.type}" in layout entry "${entry.id}"`);
+  }
+  const object = builder(entry, ctx);
+  object.name = entry.id;
+  object.userData.layoutId = entry.id;
+  object.userData.type = entry.type;
+  ctx.objects.set(entry.id, object);
+  return object;
+}
+
+/**
+ * Builds the whole kitchen described by a layout.
+ * Returns { layout, root, materials, textures, objects } where `objects`
+ * maps layout ids to their scene objects.
+ */
+function buildLayout(layout) {
+  const textures = createTextures(layout.textures || {});
+  const materials = createMaterials(layout.materials || {}, textures);
+  const objects = new Map();
+  const ctx = { layout, textures, materials, objects };
+
+  const root = new THREE.Group();
+  root.name = layout.name || 'Kitchen';
+  const room = createRoom(layout.room, ctx);
+  room.name = 'room';
+  root.add(room);
+
+  (layout.runs || []).forEach((run) => {
+    root.add(buildEntry({ ...run, type: 'cabinetRun' }, ctx));
+  });
+  (layout.components || []).forEach((entry) => {
+    root.add(buildEntry(entry, ctx));
+  });
+
+  return { layout, root, materials, textures, objects };
+}
+
+/**
+ * Frees the GPU resources held by a built kitchen.
+ */
+function disposeKitchen(built) {
+  const shared = new Set(Object.values(built.materials));
+  built.root.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    // Materials made for a single object, such as light fixture glows
+    if (object.material && !shared.has(object.material)) object.material.dispose();
+  });
+  Object.values(built.materials).forEach(material => material.dispose());
+  Object.values(built.textures).forEach(disposeSurfaceTextures);
+}
+
+/**
+ * Finds a run or component entry of a layout by id.
+ */
+function findLayoutEntry(layout, id) {
+  return (layout.runs || []).find(run => run.id === id)
+    || (layout.components || []).find(entry => entry.id === id)
+    || null;
+}
+
+/**
+ * Display name of an entry: its component name, else its id in words ("fruit-bowl" -> "Fruit bowl").
+ */
+function entryLabel(entry) {
+  if (entry.name) return entry.name;
+  const words = entry.id.replace(/[-_]+/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Resolves where a component entry rests: 'floor', 'counter', or null if fixed in place.
+ */
+function getEntryMount(entry) {
+  return entry.mount ?? COMPONENT_MOUNTS[entry.type] ?? null;
+}
+
+/**
+ * Walks up from any scene object to the object built for its layout entry.
+ */
+function findLayoutRoot(object) {
+  while (object && object.userData.layoutId === undefined) object = object.parent;
+  return object || null;
+}
+
+/**
+ * Announces a kitchen/layout change to listeners of LAYOUT_CHANGE_EVENT.
+ */
+function notifyLayoutChange(reason, detail = {}) {
+  window.dispatchEvent(new CustomEvent(LAYOUT_CHANGE_EVENT, { detail: { reason, ...detail } }));
+}
@@ -0,0 +1,290 @@
+// --- Lighting and Time of Day ---
+// The scene is lit by an ambient light, a directional "sun" and a warm fill
+// light. By default they keep a fixed studio setup. The lighting panel moves the
+// sun instead: its position and color come from the time of day, the layout's
+// latitude and date, and the direction the window faces. Scenarios from the
+// layout's "lighting" section pick a time and adjust the fill light, light
+// fixtures and glowing materials, such as the under-cabinet strip in the evening.
+
+// Defaults; a layout can override any of these in its "lighting" section
+const DEFAULT_LIGHTING = {
+  latitude: 45,        // degrees north (negative for south)
+  dayOfYear: 172,      // 1-365; the default is midsummer in the north
+  windowFacing: 180,   // compass bearing the window looks out to (180 = south)
+  skyMaterials: [],    // materials tinted with the sky color, such as window panes
+  scenarios: {}
+};
+const STUDIO_SCENARIO = 'studio';   // the fixed lights the page opens with
+const SUN_DISTANCE = 30;            // sun position from the scene center
+const SUN_INTENSITY = 1.3;
+const DAY_AMBIENT = 0.55;
+const NIGHT_AMBIENT = 0.08;
+const TWILIGHT = THREE.MathUtils.degToRad(-6);   // sun elevation where the sky goes dark
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+const lightingPanel = document.getElementById('lighting-panel');
+const lightingButton = document.getElementById('btn-lighting');
+const lightingScenarios = document.getElementById('lighting-scenarios');
+const sunTimeInput = document.getElementById('sun-time');
+const sunTimeLabel = document.getElementById('sun-time-label');
+const sunReadout = document.getElementById('sun-readout');
+
+const sceneLights = { ambient: null, sun: null, fill: null };
+const lightingState = {
+  scenario: STUDIO_SCENARIO,   // key of a layout scenario, or null for the sun alone
+  time: 12,                    // solar time in hours
+  studio: null,                // { ambient, sun, fill: { color, intensity, position } } from setupLighting()
+  restore: null                // material properties a scenario changed, to put back
+};
+
+/**
+ * Sets up the lighting: Ambient and Directional (Sun) + new features.
+ */
+function setupLighting() {
+  // Ambient Light: Provides general illumination
+  const ambientLight = new THREE.AmbientLight(0xffffff, 0.7);
+  scene.add(ambientLight);
+
+  // Directional Light: Simulates sunlight from the large window
+  const sunLight = new THREE.DirectionalLight(0xfffff0, 1.2);
+  sunLight.position.set(-15, 20, -10); // Coming from the left/back to simulate window light
+  sunLight.castShadow = true;
+
+  // Configure shadow properties
+  sunLight.shadow.mapSize.width = 2048;
+  sunLight.shadow.mapSize.height = 2048;
+  const d = 20;
+  sunLight.shadow.camera.left = -d;
+  sunLight.shadow.camera.right = d;
+  sunLight.shadow.camera.top = d;
+  sunLight.shadow.camera.bottom = -d;
+  sunLight.shadow.camera.near = 1;
+  sunLight.shadow.camera.far = 60;
+
+  scene.add(sunLight);
+
+  // A faint fill light to soften shadows on the right
+  const fillLight = new THREE.PointLight(0xfff5dd, 0.3, 20, 2);
+  fillLight.position.set(5, 4, 5);
+  scene.add(fillLight);
+
+  // Area lights (the under-cabinet strips) need their shader tables loaded once
+  THREE.RectAreaLightUniformsLib.init();
+
+  Object.assign(sceneLights, { ambient: ambientLight, sun: sunLight, fill: fillLight });
+  lightingState.studio = {};
+  Object.entries(sceneLights).forEach(([key, light]) => {
+    lightingState.studio[key] = { color: light.color.clone(), intensity: light.intensity, position: light.position.clone() };
+  });
+}
+
+function getLightingSettings() {
+  return { ...DEFAULT_LIGHTING, ...kitchen.layout.lighting };
+}
+
+/**
+ * Sun position for a solar time (hours) at a latitude (degrees) on a day of
+ * the year, as { azimuth, elevation } in radians. The azimuth is a compass
+ * bearing: 0 is north, PI/2 east.
+ */
+function solarPosition(time, latitude, dayOfYear) {
+  const lat = THREE.MathUtils.degToRad(latitude);
+  const declination = THREE.MathUtils.degToRad(23.44) * Math.sin(2 * Math.PI * (284 + dayOfYear) / 365);
+  const hourAngle = THREE.MathUtils.degToRad(15 * (time - 12));
+  const elevation = Math.asin(Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle));
+  // Measured from south, westward positive, then turned to a compass bearing
+  const fromSouth = Math.atan2(Math.sin(hourAngle), Math.cos(hourAngle) * Math.sin(lat) - Math.tan(declination) * Math.cos(lat));
+  return { azimuth: THREE.MathUtils.euclideanModulo(fromSouth + Math.PI, Math.PI * 2), elevation };
+}
+
+/**
+ * RGB color of a black body at a temperature in kelvin (1000-40000), using
+ * Tanner Helland's fit.
+ */
+function kelvinColor(kelvin) {
+  const t = kelvin / 100;
+  const red = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+  const green = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+  const blue = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+  const channel = value => THREE.MathUtils.clamp(value, 0, 255) / 255;
+  return new THREE.Color().setRGB(channel(red), channel(green), channel(blue));
+}
+
+// Sunlight color temperature: red at the horizon, near white once the sun is high
+function sunKelvin(elevation) {
+  return 2000 + 3800 * THREE.MathUtils.smoothstep(elevation, 0, THREE.MathUtils.degToRad(35));
+}
+
+// Scene direction out through the window (its local -Z), or the back wall without one
+function windowOutward() {
+  const windowObject = [...kitchen.objects.values()].find(object => object.userData.type === 'window');
+  const outward = new THREE.Vector3(0, 0, -1);
+  return windowObject ? outward.applyQuaternion(windowObject.quaternion) : outward;
+}
+
+/**
+ * Scene direction (unit vector) towards a compass bearing in radians. The
+ * window orients the room: its windowFacing bearing points out through it.
+ */
+function compassDirection(bearing) {
+  const turn = bearing - THREE.MathUtils.degToRad(getLightingSettings().windowFacing);
+  return windowOutward().applyAxisAngle(new THREE.Vector3(0, 1, 0), -turn);
+}
+
+function compassPoint(bearing) {
+  return COMPASS_POINTS[Math.round(THREE.MathUtils.radToDeg(bearing) / 45) % 8];
+}
+
+function formatSolarTime(time) {
+  const minutes = Math.round(time * 60);
+  return `${String(Math.floor(minutes / 60) % 24).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Puts back the material properties changed by the last scenario.
+ */
+function restoreScenarioMaterials() {
+  Object.entries(lightingState.restore || {}).forEach(([key, props]) => kitchen.materials[key]?.setValues(props));
+  lightingState.restore = null;
+}
+
+/**
+ * Sets material properties for a scenario (such as the emissive intensity of a
+ * light bar), remembering the old values. The layout's definitions are not
+ * changed, so Save layout doesn't keep them.
+ */
+function applyScenarioMaterials(materials = {}) {
+  lightingState.restore = {};
+  Object.entries(materials).forEach(([key, props]) => {
+    const material = kitchen.materials[key];
+    if (!material) {
+      console.warn(`Lighting scenario uses unknown material "${key}"`);
+      return;
+    }
+    lightingState.restore[key] = {};
+    Object.keys(props).forEach((prop) => {
+      const value = material[prop];
+      lightingState.restore[key][prop] = value?.isColor ? value.clone() : value;
+    });
+    material.setValues(props);
+  });
+}
+
+/**
+ * Puts the lights back to the fixed studio setup.
+ */
+function applyStudioLighting() {
+  Object.entries(sceneLights).forEach(([key, light]) => {
+    const { color, intensity, position } = lightingState.studio[key];
+    light.color.copy(color);
+    light.intensity = intensity;
+    light.position.copy(position);
+  });
+  sunReadout.textContent = 'Studio lights: fixed sun from the back left.';
+}
+
+/**
+ * Places the sun for a solar time and sets the sky light to match. Direct sun
+ * only reaches the room while it is above the horizon on the window's side.
+ */
+function applySunLighting(time, fill = {}) {
+  const { latitude, dayOfYear, skyMaterials } = getLightingSettings();
+  const { azimuth, elevation } = solarPosition(time, latitude, dayOfYear);
+  const horizontal = compassDirection(azimuth);
+  const { sun, ambient } = sceneLights;
+  sun.position.copy(horizontal).multiplyScalar(Math.cos(elevation)).setY(Math.sin(elevation)).multiplyScalar(SUN_DISTANCE);
+  const kelvin = sunKelvin(elevation);
+  const throughWindow = horizontal.dot(windowOutward()) > 0;
+  sun.color.copy(kelvinColor(kelvin));
+  sun.intensity = throughWindow ? SUN_INTENSITY * THREE.MathUtils.smoothstep(elevation, 0, THREE.MathUtils.degToRad(10)) : 0;
+
+  const daylight = THREE.MathUtils.smoothstep(elevation, TWILIGHT, THREE.MathUtils.degToRad(10));
+  ambient.color.copy(kelvinColor(kelvin + 1500));
+  ambient.intensity = THREE.MathUtils.lerp(NIGHT_AMBIENT, DAY_AMBIENT, daylight);
+  const sky = new THREE.Color(0x141a2e).lerp(kelvinColor(kelvin + 3000), daylight);
+  skyMaterials.forEach(key => kitchen.materials[key]?.color.copy(sky));
+
+  const studioFill = lightingState.studio.fill;
+  sceneLights.fill.color.set(fill.color ?? studioFill.color);
+  sceneLights.fill.intensity = fill.intensity ?? studioFill.intensity;
+
+  const bearing = `${Math.round(THREE.MathUtils.radToDeg(azimuth))}° ${compassPoint(azimuth)}`;
+  sunReadout.textContent = elevation > 0
+    ? `Sun at ${bearing}, ${Math.round(THREE.MathUtils.radToDeg(elevation))}° high, ${Math.round(kelvin / 100) * 100} K${throughWindow ? '' : ' (behind the window wall)'}.`
+    : `Sun below the horizon (${bearing}).`;
+}
+
+/**
+ * Lights the scene for the current scenario and time of day.
+ */
+function updateLighting() {
+  const { scenario, time } = lightingState;
+  restoreScenarioMaterials();
+  resetFixtures();
+  const { skyMaterials } = getLightingSettings();
+  skyMaterials.forEach((key) => {
+    const def = kitchen.layout.materials[key];
+    if (def?.color) kitchen.materials[key]?.color.set(def.color);
+  });
+  sunTimeInput.value = time;
+  sunTimeLabel.textContent = formatSolarTime(time);
+  if (scenario === STUDIO_SCENARIO) {
+    applyStudioLighting();
+  } else {
+    const settings = getLightingSettings().scenarios[scenario] || {};
+    applyScenarioMaterials(settings.materials);
+    applyFixtureLevels(settings.fixtures);
+    applySunLighting(time, settings.fill);
+  }
+  if (isToolPanelOpen(lightingPanel)) refreshLighting();
+}
+
+/**
+ * Switches to a scenario of the layout (or the studio lights), at its time of day.
+ */
+function setLightingScenario(key) {
+  const scenario = getLightingSettings().scenarios[key];
+  if (key !== STUDIO_SCENARIO && !scenario) throw new Error(`Unknown lighting scenario "${key}"`);
+  lightingState.scenario = key;
+  if (scenario?.time !== undefined) lightingState.time = scenario.time;
+  updateLighting();
+}
+
+/**
+ * Lists the studio lights and the layout's scenarios as buttons.
+ */
+function refreshLighting() {
+  const scenarios = [[STUDIO_SCENARIO, { label: 'Studio' }], ...Object.entries(getLightingSettings().scenarios)];
+  lightingScenarios.replaceChildren(...scenarios.map(([key, scenario]) => {
+    const button = document.createElement('button');
+    button.className = 'toolbar-button';
+    button.classList.toggle('active', key === lightingState.scenario);
+    button.textContent = scenario.label || key;
+    button.addEventListener('click', () => setLightingScenario(key));
+    return button;
+  }));
+}
+
+function setupLightingPanel() {
+  registerToolPanel(lightingPanel, lightingButton, { onOpen: refreshLighting });
+  // Moving the time of day leaves the studio lights for the sun; a scenario keeps its other settings
+  sunTimeInput.addEventListener('input', () => {
+    lightingState.time = Number(sunTimeInput.value);
+    if (lightingState.scenario === STUDIO_SCENARIO) lightingState.scenario = null;
+    updateLighting();
+  });
+  // A new layout brings new materials and possibly other scenarios
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    if (event.detail.reason !== 'rebuild') return;
+    lightingState.restore = null;
+    if (lightingState.scenario !== STUDIO_SCENARIO && !getLightingSettings().scenarios[lightingState.scenario]) {
+      lightingState.scenario = null;
+    }
+    updateLighting();
+  });
+
+  // A layout can open with one of its scenarios
+  const { scenario } = getLightingSettings();
+  if (scenario && getLightingSettings().scenarios[scenario]) setLightingScenario(scenario);
+  else updateLighting();
+}
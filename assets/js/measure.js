@@ -0,0 +1,384 @@
+// --- Measure Tool ---
+// While the Measure panel is open, clicking two points in the scene measures
+// the distance between them. Points snap to the corners and edges of the mesh
+// under the cursor, or else lie on its surface. The last measurement can be
+// kept as a dimension: kept dimensions are stored in the layout's
+// "measurements" section, each end attached to the component it was measured
+// on, so they follow the components when they are moved.
+
+const MEASURE_SNAP_PIXELS = 10;
+const MEASURE_CLICK_TOLERANCE = 4;   // pixels the pointer may move between press and click
+const MEASURE_LABEL_PIXELS = 22;     // label height on screen
+const MEASURE_END_PIXELS = 4;        // radius of the end and snap markers on screen
+const MEASURE_SNAP_COLORS = { vertex: 0xff9f0a, edge: 0x0a84ff, face: 0xffffff };
+const MEASURE_COLORS = { live: 0xffd60a, kept: 0x64d2ff };
+const INCHES_PER_METER = 1 / 0.0254;
+
+const measurePanel = document.getElementById('measure-panel');
+const measureButton = document.getElementById('btn-measure');
+const measureUnitsSelect = document.getElementById('measure-units');
+const measureLastLabel = document.getElementById('measure-last');
+const measureKeepButton = document.getElementById('btn-measure-keep');
+const measureList = document.getElementById('measure-list');
+const measureShowInput = document.getElementById('measure-show');
+
+const measureState = {
+  enabled: false,
+  start: null,         // first end of a measurement in progress
+  last: null,          // { from, to } of the last measurement, until it is kept or replaced
+  snap: null,          // snapped point under the cursor
+  pointerDown: null,   // where the pointer was pressed, to tell clicks from orbit drags
+  live: null,          // dimension object for the measurement in progress or the last one
+  kept: [],            // dimension objects for the layout's measurements
+  marker: null,        // snap marker
+  overlay: null        // group holding the dimensions and the marker
+};
+
+function isMeasuring() {
+  return measureState.enabled;
+}
+
+function getMeasurements() {
+  return kitchen.layout.measurements || [];
+}
+
+// --- Units ---
+
+/**
+ * Feet and inches to the nearest 1/8 in, e.g. 5' 3 1/4".
+ */
+function formatFeetInches(value) {
+  const eighths = Math.round(value * INCHES_PER_METER * 8);
+  const feet = Math.floor(eighths / 96);
+  const inches = Math.floor((eighths % 96) / 8);
+  let numerator = eighths % 8;
+  let denominator = 8;
+  while (numerator && numerator % 2 === 0) {
+    numerator /= 2;
+    denominator /= 2;
+  }
+  const fraction = numerator ? `${numerator}/${denominator}` : '';
+  const inchText = inches && fraction ? `${inches} ${fraction}` : fraction || `${inches}`;
+  return feet ? `${feet}' ${inchText}"` : `${inchText}"`;
+}
+
+function formatMeasure(value) {
+  return measureUnitsSelect.value === 'imperial' ? formatFeetInches(value) : formatMeters(value);
+}
+
+// --- Points ---
+// Measured points are { anchor, point }: a layout id and a point in that
+// object's local frame, or no anchor and a world point (room walls and floor).
+
+function anchoredPoint(world, object) {
+  const root = findLayoutRoot(object);
+  if (!root) return { anchor: null, point: world.clone() };
+  return { anchor: root.userData.layoutId, point: root.worldToLocal(world.clone()) };
+}
+
+/**
+ * World position of a measured point, or null while its component is missing or hidden.
+ */
+function measurePointWorld({ anchor, point }) {
+  if (!anchor) return point.clone();
+  const object = kitchen.objects.get(anchor);
+  if (!object || !object.visible) return null;
+  return object.localToWorld(point.clone());
+}
+
+function serializeMeasurePoint({ anchor, point }) {
+  const rounded = point.toArray().map(value => Math.round(value * 1000) / 1000);
+  return anchor ? { anchor, point: rounded } : { point: rounded };
+}
+
+function parseMeasurePoint({ anchor = null, point }) {
+  return { anchor, point: new THREE.Vector3().fromArray(point) };
+}
+
+function measurePointLabel({ anchor }) {
+  if (!anchor) return 'Room';
+  const entry = findLayoutEntry(kitchen.layout, anchor);
+  return entry ? entryLabel(entry) : `${anchor} (missing)`;
+}
+
+// --- Snapping ---
+
+function screenPoint(world) {
+  const ndc = world.clone().project(camera);
+  return new THREE.Vector2((ndc.x + 1) / 2 * window.innerWidth, (1 - ndc.y) / 2 * window.innerHeight);
+}
+
+/**
+ * Snaps a raycast hit to the nearest corner of the hit triangle, else its
+ * nearest edge, if within MEASURE_SNAP_PIXELS of the cursor on screen; else it
+ * stays on the surface. Returns { world, kind, object }.
+ */
+function snapHit(hit, event) {
+  const { object, face, point } = hit;
+  const positions = object.geometry?.attributes.position;
+  if (!face || !positions) return { world: point.clone(), kind: 'face', object };
+  const cursor = new THREE.Vector2(event.clientX, event.clientY);
+  const onScreen = world => screenPoint(world).distanceTo(cursor);
+  const corners = [face.a, face.b, face.c].map(index => new THREE.Vector3().fromBufferAttribute(positions, index).applyMatrix4(object.matrixWorld));
+
+  const corner = corners.reduce((best, p) => (onScreen(p) < onScreen(best) ? p : best));
+  if (onScreen(corner) <= MEASURE_SNAP_PIXELS) return { world: corner, kind: 'vertex', object };
+
+  // The edge facing a right angle is the diagonal splitting a quad, not a real edge
+  const edges = corners.map((p, i) => new THREE.Line3(p, corners[(i + 1) % 3])).filter((edge, i) => {
+    const opposite = corners[(i + 2) % 3];
+    const a = edge.start.clone().sub(opposite).normalize();
+    const b = edge.end.clone().sub(opposite).normalize();
+    return Math.abs(a.dot(b)) > 1e-3;
+  });
+  const onEdges = edges.map(edge => edge.closestPointToPoint(point, true, new THREE.Vector3()));
+  const edgePoint = onEdges.reduce((best, p) => (!best || onScreen(p) < onScreen(best) ? p : best), null);
+  if (edgePoint && onScreen(edgePoint) <= MEASURE_SNAP_PIXELS) return { world: edgePoint, kind: 'edge', object };
+  return { world: point.clone(), kind: 'face', object };
+}
+
+// --- Dimension Objects ---
+
+/**
+ * A dimension line with end markers and a distance label, drawn over the scene.
+ */
+function createDimensionObject(color) {
+  const group = new THREE.Group();
+  const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3()]), new THREE.LineBasicMaterial({ color, depthTest: false }));
+  const ends = [0, 1].map(() => new THREE.Mesh(new THREE.SphereGeometry(1, 12, 8), new THREE.MeshBasicMaterial({ color, depthTest: false })));
+  const label = new THREE.Sprite(new THREE.SpriteMaterial({ depthTest: false, transparent: true }));
+  [line, ...ends].forEach((part) => {
+    part.renderOrder = 10;
+  });
+  label.renderOrder = 11;
+  group.add(line, ...ends, label);
+  group.userData.dimension = { line, ends, label, text: null };
+  return group;
+}
+
+/**
+ * Draws a label's text on a fresh canvas texture (a new size needs a new texture).
+ */
+function setDimensionText(dimension, text) {
+  const { label } = dimension.userData.dimension;
+  const canvas = document.createElement('canvas');
+  const context = canvas.getContext('2d');
+  const font = 'bold 40px Arial, Helvetica, sans-serif';
+  context.font = font;
+  canvas.width = Math.ceil(context.measureText(text).width) + 32;
+  canvas.height = 60;
+  context.font = font;
+  context.fillStyle = 'rgba(16, 20, 24, 0.85)';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.fillStyle = '#ffffff';
+  context.textAlign = 'center';
+  context.textBaseline = 'middle';
+  context.fillText(text, canvas.width / 2, canvas.height / 2);
+  if (label.material.map) label.material.map.dispose();
+  label.material.map = new THREE.CanvasTexture(canvas);
+  label.material.needsUpdate = true;
+  label.userData.aspect = canvas.width / canvas.height;
+  dimension.userData.dimension.text = text;
+}
+
+/**
+ * World size of one screen pixel at a point, for constant-size markers and labels.
+ */
+function worldPerPixel(world) {
+  if (camera.isOrthographicCamera) return (camera.top - camera.bottom) / camera.zoom / window.innerHeight;
+  return 2 * camera.position.distanceTo(world) * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2)) / window.innerHeight;
+}
+
+/**
+ * Distance between two measured points as text, or null while one is not shown.
+ */
+function measuredDistance(from, to) {
+  const [a, b] = [from, to].map(measurePointWorld);
+  return a && b ? formatMeasure(a.distanceTo(b)) : null;
+}
+
+/**
+ * Moves a dimension object between two world points (or hides it without them).
+ */
+function updateDimensionObject(dimension, from, to) {
+  dimension.visible = Boolean(from && to);
+  if (!dimension.visible) return;
+  const { line, ends, label, text } = dimension.userData.dimension;
+  line.geometry.setFromPoints([from, to]);
+  line.geometry.computeBoundingSphere();
+  [from, to].forEach((point, i) => {
+    ends[i].position.copy(point);
+    ends[i].scale.setScalar(MEASURE_END_PIXELS * worldPerPixel(point));
+  });
+  const middle = from.clone().lerp(to, 0.5);
+  const distance = formatMeasure(from.distanceTo(to));
+  if (distance !== text) setDimensionText(dimension, distance);
+  const height = MEASURE_LABEL_PIXELS * worldPerPixel(middle);
+  label.position.copy(middle);
+  label.scale.set(height * label.userData.aspect, height, 1);
+}
+
+function disposeDimensionObject(dimension) {
+  measureState.overlay.remove(dimension);
+  dimension.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) {
+      if (object.material.map) object.material.map.dispose();
+      object.material.dispose();
+    }
+  });
+}
+
+// --- Measuring ---
+
+function setMeasureMode(enabled) {
+  measureState.enabled = enabled;
+  measureState.start = null;
+  measureState.snap = null;
+  if (!enabled) measureState.last = null;
+  refreshMeasurePanel();
+}
+
+/**
+ * Handles a canvas click while measuring: the first click starts a
+ * measurement, the second finishes it.
+ */
+function handleMeasureClick(event, hits) {
+  const down = measureState.pointerDown;
+  if (down && Math.hypot(event.clientX - down.x, event.clientY - down.y) > MEASURE_CLICK_TOLERANCE) return;
+  if (hits.length === 0) return;
+  const { world, object } = snapHit(hits[0], event);
+  const point = anchoredPoint(world, object);
+  if (!measureState.start) {
+    measureState.start = point;
+    measureState.last = null;
+  } else {
+    measureState.last = { from: measureState.start, to: point };
+    measureState.start = null;
+  }
+  refreshMeasurePanel();
+}
+
+function onMeasurePointerMove(event) {
+  if (!measureState.enabled) return;
+  const hits = pickKitchen(event);
+  measureState.snap = hits.length > 0 ? snapHit(hits[0], event) : null;
+}
+
+/**
+ * Adds the last measurement to the layout's kept dimensions.
+ */
+function keepMeasurement() {
+  const { last } = measureState;
+  if (!last) return;
+  kitchen.layout.measurements = [...getMeasurements(), { from: serializeMeasurePoint(last.from), to: serializeMeasurePoint(last.to) }];
+  measureState.last = null;
+  rebuildKeptDimensions();
+  refreshMeasurePanel();
+}
+
+function removeMeasurement(measurement) {
+  kitchen.layout.measurements = getMeasurements().filter(other => other !== measurement);
+  rebuildKeptDimensions();
+  refreshMeasurePanel();
+}
+
+/**
+ * Recreates the dimension objects for the layout's kept measurements.
+ */
+function rebuildKeptDimensions() {
+  measureState.kept.forEach(disposeDimensionObject);
+  measureState.kept = getMeasurements().map((measurement) => {
+    const dimension = createDimensionObject(MEASURE_COLORS.kept);
+    dimension.userData.measurement = { from: parseMeasurePoint(measurement.from), to: parseMeasurePoint(measurement.to) };
+    measureState.overlay.add(dimension);
+    return dimension;
+  });
+}
+
+/**
+ * Keeps the dimensions on the components they measure and the markers at a
+ * constant size on screen; called from the render loop.
+ */
+function updateMeasurements() {
+  const { live, marker, start, last, snap, enabled } = measureState;
+  measureState.kept.forEach((dimension) => {
+    const { from, to } = dimension.userData.measurement;
+    if (measureShowInput.checked) updateDimensionObject(dimension, measurePointWorld(from), measurePointWorld(to));
+    else dimension.visible = false;
+  });
+  if (start) updateDimensionObject(live, measurePointWorld(start), snap?.world);
+  else if (last) updateDimensionObject(live, measurePointWorld(last.from), measurePointWorld(last.to));
+  else live.visible = false;
+
+  marker.visible = Boolean(enabled && snap);
+  if (marker.visible) {
+    marker.position.copy(snap.world);
+    marker.scale.setScalar(MEASURE_END_PIXELS * 1.5 * worldPerPixel(snap.world));
+    marker.material.color.setHex(MEASURE_SNAP_COLORS[snap.kind]);
+  }
+}
+
+function refreshMeasurePanel() {
+  const { start, last } = measureState;
+  measureKeepButton.disabled = !last;
+  if (start) measureLastLabel.textContent = `From ${measurePointLabel(start)}: click the second point.`;
+  else if (last) measureLastLabel.textContent = `${measurePointLabel(last.from)} to ${measurePointLabel(last.to)}: ${measuredDistance(last.from, last.to) ?? 'not shown'}`;
+  else measureLastLabel.textContent = 'Click the first point.';
+
+  const measurements = getMeasurements();
+  if (measurements.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'text-gray-400';
+    empty.textContent = 'No kept dimensions in this layout.';
+    measureList.replaceChildren(empty);
+    return;
+  }
+  measureList.replaceChildren(...measurements.map((measurement) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center gap-2';
+    const [from, to] = [measurement.from, measurement.to].map(parseMeasurePoint);
+    const text = document.createElement('span');
+    text.className = 'flex-1';
+    text.textContent = `${measurePointLabel(from)} to ${measurePointLabel(to)}: ${measuredDistance(from, to) ?? 'not shown'}`;
+    const remove = document.createElement('button');
+    remove.className = 'toolbar-button';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => removeMeasurement(measurement));
+    li.append(text, remove);
+    return li;
+  }));
+}
+
+function setupMeasure() {
+  measureState.overlay = new THREE.Group();
+  measureState.overlay.name = 'measure-overlay';
+  measureState.live = createDimensionObject(MEASURE_COLORS.live);
+  measureState.marker = new THREE.Mesh(new THREE.SphereGeometry(1, 12, 8), new THREE.MeshBasicMaterial({ depthTest: false }));
+  measureState.marker.renderOrder = 11;
+  measureState.overlay.add(measureState.live, measureState.marker);
+  scene.add(measureState.overlay);
+  rebuildKeptDimensions();
+
+  registerToolPanel(measurePanel, measureButton, { onOpen: () => setMeasureMode(true), onClose: () => setMeasureMode(false) });
+  measureKeepButton.addEventListener('click', keepMeasurement);
+  measureUnitsSelect.addEventListener('change', refreshMeasurePanel);
+  renderer.domElement.addEventListener('pointerdown', (event) => {
+    measureState.pointerDown = { x: event.clientX, y: event.clientY };
+  });
+  renderer.domElement.addEventListener('pointermove', onMeasurePointerMove);
+  window.addEventListener('keydown', (event) => {
+    if (event.key !== 'Escape' || !measureState.start) return;
+    measureState.start = null;
+    refreshMeasurePanel();
+  });
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    if (event.detail.reason === 'rebuild') {
+      measureState.start = null;
+      measureState.last = null;
+      measureState.snap = null;
+      rebuildKeptDimensions();
+    }
+    if (isToolPanelOpen(measurePanel)) refreshMeasurePanel();
+  });
+}
@@ -0,0 +1,350 @@
+// --- Scene Outliner ---
+// A tree of everything in the kitchen: the room, then the layout items grouped
+// by category, the clickable components inside them (cabinet modules) and
+// their meshes. Rows can be searched, hidden, and locked so clicks in the
+// scene pass through them to what is behind. Isolating the selected row fades
+// everything else and frames the camera on it. Visibility and locks belong to
+// the view, not the layout: they are not saved, and opening a layout resets them.
+
+const OUTLINER_GROUPS = ['Room', 'Cabinet runs', 'Wall cabinets', 'Tall cabinets', 'Appliances', 'Small appliances', 'Furniture', 'Lighting', 'Openings', 'Decor'];
+const ISOLATE_OPACITY = 0.12;  // opacity factor of everything outside the isolated item
+
+const outlinerPanel = document.getElementById('outliner-panel');
+const outlinerButton = document.getElementById('btn-outliner');
+const outlinerSearch = document.getElementById('outliner-search');
+const outlinerTree = document.getElementById('outliner-tree');
+const outlinerIsolateButton = document.getElementById('btn-outliner-isolate');
+const outlinerShowAllButton = document.getElementById('btn-outliner-show-all');
+
+const outlinerState = {
+  selected: null,             // object of the selected row
+  expanded: new Set(),        // keys of expanded rows: group labels and object uuids
+  hidden: new Set(),          // objects hidden from the outliner
+  locked: new Set(),          // objects locked from the outliner
+  isolated: null,             // { object, originals: Map(mesh -> material) } while isolating
+  fadedMaterials: new Map()   // material -> its faded copy, while isolating
+};
+
+/**
+ * Whether an object and everything above it are shown.
+ */
+function isObjectShown(object) {
+  for (let current = object; current; current = current.parent) {
+    if (!current.visible) return false;
+  }
+  return true;
+}
+
+/**
+ * A mesh's own material, not the faded copy it shows while another item is isolated.
+ */
+function ownMaterial(mesh) {
+  return outlinerState.isolated?.originals.get(mesh) ?? mesh.material;
+}
+
+/**
+ * Whether an object or anything above it is locked in the outliner.
+ */
+function isObjectLocked(object) {
+  for (let current = object; current; current = current.parent) {
+    if (outlinerState.locked.has(current)) return true;
+  }
+  return false;
+}
+
+/**
+ * Rows below an object: the components and meshes inside it, looking through
+ * plain groups such as door hinges. Lights are left out.
+ */
+function outlineChildren(object) {
+  const children = [];
+  const visit = (child) => {
+    if (child.isLight) return;
+    if (child.userData.isComponent || child.isMesh) children.push(child);
+    else child.children.forEach(visit);
+  };
+  object.children.forEach(visit);
+  return children;
+}
+
+function outlineLabel(object) {
+  const { name, layoutId, wall } = object.userData;
+  if (name) return name;
+  if (layoutId !== undefined) return entryLabel(findLayoutEntry(kitchen.layout, layoutId));
+  if (wall) return `${wall.charAt(0).toUpperCase()}${wall.slice(1)} wall`;
+  if (object.name) return object.name;
+  // Unnamed meshes: their shape and material, e.g. "Cylinder (brass)"
+  const shape = object.geometry ? object.geometry.type.replace(/(Buffer)?Geometry$/, '') : 'Group';
+  return object.material?.name ? `${shape} (${object.material.name})` : shape;
+}
+
+/**
+ * The kitchen's top-level rows as [label, objects] pairs, in OUTLINER_GROUPS order.
+ */
+function outlineGroups() {
+  const groups = new Map(OUTLINER_GROUPS.map(label => [label, []]));
+  const room = kitchen.root.children.find(object => object.name === 'room');
+  if (room) groups.get('Room').push(...outlineChildren(room));
+  kitchen.objects.forEach((object) => {
+    const { type } = object.userData;
+    groups.get(type === 'cabinetRun' ? 'Cabinet runs' : BOM_CATEGORIES[type] || 'Decor').push(object);
+  });
+  return [...groups].filter(([, objects]) => objects.length > 0);
+}
+
+// --- Visibility, locks and isolation ---
+
+function setObjectHidden(object, hidden) {
+  object.visible = !hidden;
+  if (hidden) outlinerState.hidden.add(object);
+  else outlinerState.hidden.delete(object);
+  if (hidden && editor.selected && !isObjectShown(editor.selected)) deselectForEdit();
+  notifyLayoutChange('visibility', { id: findLayoutRoot(object)?.userData.layoutId });
+}
+
+function setObjectLocked(object, locked) {
+  if (locked) outlinerState.locked.add(object);
+  else outlinerState.locked.delete(object);
+  if (locked && editor.selected && isObjectLocked(editor.selected)) deselectForEdit();
+}
+
+function showAllObjects() {
+  outlinerState.hidden.forEach((object) => {
+    object.visible = true;
+  });
+  outlinerState.hidden.clear();
+  notifyLayoutChange('visibility');
+  refreshOutliner();
+}
+
+// One see-through copy per material, shared by every faded mesh using it
+function fadedMaterial(material) {
+  let faded = outlinerState.fadedMaterials.get(material);
+  if (!faded) {
+    faded = material.clone();
+    faded.transparent = true;
+    faded.opacity = material.opacity * ISOLATE_OPACITY;
+    faded.depthWrite = false;
+    outlinerState.fadedMaterials.set(material, faded);
+  }
+  return faded;
+}
+
+/**
+ * Fades every kitchen mesh outside an object, putting back any earlier isolation first.
+ */
+function fadeAllBut(object) {
+  restoreFadedMaterials();
+  const kept = new Set();
+  object.traverse(child => kept.add(child));
+  const originals = new Map();
+  kitchen.root.traverse((mesh) => {
+    if (!mesh.isMesh || kept.has(mesh)) return;
+    originals.set(mesh, mesh.material);
+    mesh.material = fadedMaterial(mesh.material);
+  });
+  outlinerState.isolated = { object, originals };
+}
+
+function restoreFadedMaterials() {
+  const { isolated, fadedMaterials } = outlinerState;
+  if (!isolated) return;
+  isolated.originals.forEach((material, mesh) => {
+    mesh.material = material;
+  });
+  fadedMaterials.forEach(material => material.dispose());
+  fadedMaterials.clear();
+  outlinerState.isolated = null;
+}
+
+/**
+ * Gives faded meshes their own materials back for a while, such as during an
+ * export. Returns a function that fades them again, unless the isolation has
+ * changed meanwhile.
+ */
+function unfadeMaterials() {
+  const { isolated } = outlinerState;
+  if (!isolated) return () => {};
+  const faded = new Map();
+  isolated.originals.forEach((material, mesh) => {
+    faded.set(mesh, mesh.material);
+    mesh.material = material;
+  });
+  return () => {
+    if (outlinerState.isolated !== isolated) return;
+    faded.forEach((material, mesh) => {
+      mesh.material = material;
+    });
+  };
+}
+
+/**
+ * Flies the camera to frame an object, from the current viewing direction.
+ */
+function frameObject(object) {
+  stopTour();
+  const view = frameBoxView(new THREE.Box3().setFromObject(object));
+  flyToBookmark({ mode: view.mode, position: view.position.toArray(), target: view.target.toArray(), zoom: view.zoom });
+}
+
+function setIsolated(isolate) {
+  if (isolate && outlinerState.selected) {
+    fadeAllBut(outlinerState.selected);
+    frameObject(outlinerState.selected);
+  } else {
+    restoreFadedMaterials();
+  }
+  outlinerIsolateButton.classList.toggle('active', Boolean(outlinerState.isolated));
+}
+
+// --- Selection ---
+
+/**
+ * Selects an outliner row for an object (null clears it), following clicks
+ * in the scene. An isolated view moves to the new selection.
+ */
+function setOutlinerSelection(object) {
+  outlinerState.selected = object;
+  outlinerIsolateButton.disabled = !object;
+  if (outlinerState.isolated) setIsolated(Boolean(object));
+  if (!isToolPanelOpen(outlinerPanel)) return;
+  // Open the rows above the selection so it can be seen
+  for (let parent = object?.parent; parent && parent !== kitchen.root; parent = parent.parent) {
+    outlinerState.expanded.add(parent.uuid);
+  }
+  const group = object && outlineGroups().find(([, objects]) => objects.includes(findLayoutRoot(object) || object));
+  if (group) outlinerState.expanded.add(group[0]);
+  refreshOutliner();
+  outlinerTree.querySelector('.outliner-row.selected')?.scrollIntoView({ block: 'nearest' });
+}
+
+function selectOutlinerRow(object) {
+  const component = findComponentObject(object);
+  if (component) displayComponentInfo(component, findComponentPart(object, component));
+  else hideComponentInfo();
+  setOutlinerSelection(object);
+}
+
+// --- Tree ---
+
+function toggleButton(symbol, title, active, onClick) {
+  const button = document.createElement('button');
+  button.className = `outliner-toggle${active ? ' active' : ''}`;
+  button.textContent = symbol;
+  button.title = title;
+  button.addEventListener('click', (event) => {
+    event.stopPropagation();
+    onClick();
+    refreshOutliner();
+  });
+  return button;
+}
+
+/**
+ * One tree row with its expander, label, and hide and lock toggles acting on
+ * `objects` (every item of a group row); children are only built when shown.
+ */
+function outlinerRow({ key, label, objects, object = null, depth, expanded, childRows }) {
+  const li = document.createElement('li');
+  const row = document.createElement('div');
+  row.className = 'outliner-row';
+  row.style.paddingLeft = `${depth * 12}px`;
+  const hidden = objects.every(item => !item.visible);
+  row.classList.toggle('selected', Boolean(object) && object === outlinerState.selected);
+  row.classList.toggle('hidden-item', hidden);
+
+  const expander = document.createElement('button');
+  expander.className = 'outliner-expander';
+  if (childRows) {
+    expander.textContent = expanded ? '▾' : '▸';
+    expander.addEventListener('click', () => {
+      if (outlinerState.expanded.has(key)) outlinerState.expanded.delete(key);
+      else outlinerState.expanded.add(key);
+      refreshOutliner();
+    });
+  }
+  const name = document.createElement('span');
+  name.className = 'outliner-label';
+  name.textContent = label;
+  if (object) {
+    name.title = 'Click to select, double-click to frame';
+    name.addEventListener('click', () => selectOutlinerRow(object));
+    name.addEventListener('dblclick', () => frameObject(object));
+  }
+  const locked = objects.every(item => outlinerState.locked.has(item));
+  row.append(
+    expander,
+    name,
+    toggleButton(hidden ? '○' : '●', hidden ? 'Show' : 'Hide', !hidden, () => objects.forEach(item => setObjectHidden(item, !hidden))),
+    toggleButton(locked ? '■' : '□', locked ? 'Unlock' : 'Lock so clicks pass through', locked, () => objects.forEach(item => setObjectLocked(item, !locked)))
+  );
+  li.appendChild(row);
+  if (expanded && childRows) {
+    const ul = document.createElement('ul');
+    ul.append(...childRows());
+    li.appendChild(ul);
+  }
+  return li;
+}
+
+/**
+ * Row of an object and, when open, its children. While searching, rows are
+ * kept if they or a row below them match, and rows with matches below open.
+ */
+function outlineObjectRow(object, depth, query) {
+  const children = outlineChildren(object);
+  const matches = !query || outlineLabel(object).toLowerCase().includes(query);
+  const matchingRows = query ? children.map(child => outlineObjectRow(child, depth + 1, query)).filter(Boolean) : [];
+  if (!matches && matchingRows.length === 0) return null;
+  const key = object.uuid;
+  const expanded = matchingRows.length > 0 || outlinerState.expanded.has(key);
+  const childRows = children.length === 0 ? null
+    : () => (matchingRows.length > 0 ? matchingRows : children.map(child => outlineObjectRow(child, depth + 1, '')));
+  return outlinerRow({ key, label: outlineLabel(object), objects: [object], object, depth, expanded, childRows });
+}
+
+/**
+ * Rebuilds the tree from the kitchen, filtered by the search text.
+ */
+function refreshOutliner() {
+  const query = outlinerSearch.value.trim().toLowerCase();
+  const rows = outlineGroups().map(([label, objects]) => {
+    const matchingRows = query ? objects.map(object => outlineObjectRow(object, 1, query)).filter(Boolean) : [];
+    if (query && matchingRows.length === 0) return null;
+    const expanded = matchingRows.length > 0 || outlinerState.expanded.has(label);
+    const childRows = () => (query ? matchingRows : objects.map(object => outlineObjectRow(object, 1, '')));
+    return outlinerRow({ key: label, label: `${label} (${objects.length})`, objects, depth: 0, expanded, childRows });
+  }).filter(Boolean);
+  outlinerTree.replaceChildren(...rows);
+  if (rows.length === 0) outlinerTree.textContent = 'Nothing matches the search.';
+}
+
+function setupOutliner() {
+  registerToolPanel(outlinerPanel, outlinerButton, { onOpen: refreshOutliner, onClose: () => setIsolated(false) });
+  outlinerSearch.addEventListener('input', refreshOutliner);
+  outlinerIsolateButton.disabled = true;
+  outlinerIsolateButton.addEventListener('click', () => setIsolated(!outlinerState.isolated));
+  outlinerShowAllButton.addEventListener('click', showAllObjects);
+
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    const { reason } = event.detail;
+    if (reason === 'rebuild') {
+      // The old objects are gone, along with their materials
+      outlinerState.isolated = null;
+      outlinerState.fadedMaterials.clear();
+      outlinerState.hidden.clear();
+      outlinerState.locked.clear();
+      outlinerState.expanded.clear();
+      setOutlinerSelection(null);
+    } else if (reason === 'add' || reason === 'remove') {
+      const selected = outlinerState.selected;
+      if (selected && !kitchen.root.getObjectById(selected.id)) setOutlinerSelection(null);
+      // New items start faded, and removed ones stop being tracked
+      else if (outlinerState.isolated) fadeAllBut(outlinerState.isolated.object);
+    } else if (reason === 'finish' && outlinerState.isolated) {
+      // Fade the new colors and textures
+      fadeAllBut(outlinerState.isolated.object);
+    }
+    if (reason !== 'visibility' && isToolPanelOpen(outlinerPanel)) refreshOutliner();
+  });
+}
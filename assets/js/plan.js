@@ -0,0 +1,292 @@
+// --- Floor Plan ---
+// A dimensioned top-down drawing (SVG) derived from the built scene: walls,
+// the footprints of floor-standing items, counter fixtures and wall-mounted
+// items above the counter, with the room size, run lengths and the clearances
+// between runs, island, table and walls. The panel also shows the wall
+// elevations (elevations.js). Each sheet downloads as SVG; all of them print
+// (or save as PDF) together from the browser's print dialog.
+
+const PLAN_MARGIN = 1.8;             // space around the room for dimensions, in scene units
+const PLAN_PX_PER_UNIT = 60;         // size of the downloaded SVG
+const PLAN_FLOOR_HEIGHT = 0.2;       // items starting below this stand on the floor
+const PLAN_LABEL_MIN_SIZE = 0.6;     // smaller items (chairs, stools) are drawn without a name
+const PLAN_MAX_CLEARANCE = 3;        // wider gaps are open floor and not dimensioned
+const PLAN_MIN_THICKNESS = 0.05;     // thinner items are wall finishes (panels, bands) and left out
+const PLAN_SKIPPED_TYPES = ['lightFixture', 'wainscot', 'canRow'];
+const PLAN_OPENING_TYPES = ['window', 'door'];
+const PLAN_COLORS = { wall: '#2f3640', line: '#1f2933', overhead: '#7b8794', dimension: '#2b6cb0', clearance: '#2b8a83', narrow: '#d64545' };
+
+const planPanel = document.getElementById('plan-panel');
+const planButton = document.getElementById('btn-plan');
+const planSheetSelect = document.getElementById('plan-sheet');
+const planDrawing = document.getElementById('plan-drawing');
+const planSvgButton = document.getElementById('btn-plan-svg');
+const planPrintButton = document.getElementById('btn-plan-print');
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, char => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[char]));
+}
+
+// Floor points are Vector2(x, z); the plan looks down with the back wall at the top
+function svgPoints(points) {
+  return points.map(p => `${p.x.toFixed(3)},${p.y.toFixed(3)}`).join(' ');
+}
+
+function svgLine(a, b, attributes) {
+  return `<line x1="${a.x.toFixed(3)}" y1="${a.y.toFixed(3)}" x2="${b.x.toFixed(3)}" y2="${b.y.toFixed(3)}" ${attributes}/>`;
+}
+
+/**
+ * Text centered at a point and turned along a direction, kept upright.
+ */
+function svgText(point, direction, text, attributes) {
+  let angle = THREE.MathUtils.radToDeg(Math.atan2(direction.y, direction.x));
+  if (angle > 90) angle -= 180;
+  if (angle <= -90) angle += 180;
+  return `<text x="${point.x.toFixed(3)}" y="${point.y.toFixed(3)}" transform="rotate(${angle.toFixed(1)} ${point.x.toFixed(3)} ${point.y.toFixed(3)})" ${attributes}>${escapeXml(text)}</text>`;
+}
+
+/**
+ * Dimension line measuring a to b, drawn `offset` away along the unit normal
+ * with extension lines and slash ticks, labeled with the distance (after
+ * `label`, if given). Narrow chains can use a smaller `size` and leave out the units.
+ */
+function svgDimension(a, b, normal, offset, { color = PLAN_COLORS.dimension, label, size = 0.22, units = true } = {}) {
+  const from = a.clone().addScaledVector(normal, offset);
+  const to = b.clone().addScaledVector(normal, offset);
+  const along = to.clone().sub(from).normalize();
+  const tick = along.clone().add(normal).multiplyScalar(0.08);
+  const stroke = `stroke="${color}" stroke-width="0.015"`;
+  return [
+    svgLine(a.clone().addScaledVector(normal, 0.05), from.clone().addScaledVector(normal, 0.1), stroke),
+    svgLine(b.clone().addScaledVector(normal, 0.05), to.clone().addScaledVector(normal, 0.1), stroke),
+    svgLine(from, to, stroke),
+    svgLine(from.clone().sub(tick), from.clone().add(tick), `stroke="${color}" stroke-width="0.03"`),
+    svgLine(to.clone().sub(tick), to.clone().add(tick), `stroke="${color}" stroke-width="0.03"`),
+    svgText(from.clone().lerp(to, 0.5).addScaledVector(normal, 0.12), along, [label, units ? formatMeters(a.distanceTo(b)) : a.distanceTo(b).toFixed(2)].filter(Boolean).join(' '), `fill="${color}" font-size="${size}" text-anchor="middle"`)
+  ].join('');
+}
+
+/**
+ * Gap dimension between two points (a clearance), with arrow-less end ticks.
+ */
+function svgClearance(from, to, color) {
+  const along = to.clone().sub(from).normalize();
+  const normal = new THREE.Vector2(-along.y, along.x);
+  const tick = normal.clone().multiplyScalar(0.1);
+  return [
+    svgLine(from, to, `stroke="${color}" stroke-width="0.02" stroke-dasharray="0.08 0.05"`),
+    svgLine(from.clone().sub(tick), from.clone().add(tick), `stroke="${color}" stroke-width="0.02"`),
+    svgLine(to.clone().sub(tick), to.clone().add(tick), `stroke="${color}" stroke-width="0.02"`),
+    svgText(from.clone().lerp(to, 0.5).addScaledVector(normal, 0.14), along, formatMeters(from.distanceTo(to)), `fill="${color}" font-size="0.2" text-anchor="middle"`)
+  ].join('');
+}
+
+/**
+ * Sheet title and a note line below it, left-aligned at a point.
+ */
+function svgTitle(x, y, title, note) {
+  return `<text x="${x}" y="${y}" font-size="0.3" font-weight="bold" fill="${PLAN_COLORS.line}">${escapeXml(kitchen.layout.name || 'Kitchen')}: ${escapeXml(title)}</text>`
+    + `<text x="${x}" y="${y + 0.35}" font-size="0.18" fill="${PLAN_COLORS.overhead}">${escapeXml(note)} ${new Date().toLocaleDateString()}</text>`;
+}
+
+/**
+ * A complete SVG document showing the given area (in scene units) on white.
+ */
+function svgSheet(minX, minY, width, height, parts) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="${minX} ${minY} ${width} ${height}" width="${Math.round(width * PLAN_PX_PER_UNIT)}" height="${Math.round(height * PLAN_PX_PER_UNIT)}" font-family="Arial, Helvetica, sans-serif">`
+    + `<rect x="${minX}" y="${minY}" width="${width}" height="${height}" fill="#ffffff"/>${parts.join('')}</svg>`;
+}
+
+/**
+ * Whether the drawings show a layout object: light fixtures, wall trim and
+ * finishes, shelf clutter and small items resting on counters are left out.
+ */
+function isDrawnObject(object) {
+  const entry = findLayoutEntry(kitchen.layout, object.userData.layoutId);
+  if (!object.visible || PLAN_SKIPPED_TYPES.includes(object.userData.type) || getEntryMount(entry) === 'counter') return false;
+  const { halfX, halfZ } = getFootprint(object);
+  return Math.min(halfX, halfZ) * 2 >= PLAN_MIN_THICKNESS;
+}
+
+/**
+ * Footprints of the visible layout objects sorted by how the plan draws
+ * them: floor-standing, built into the counters, wall-mounted above them, or openings.
+ */
+function collectPlanItems() {
+  const { height, counterThickness = 0 } = kitchen.layout.cabinets;
+  const counterTop = height + counterThickness;
+  const items = { floor: [], counter: [], overhead: [], openings: [] };
+  kitchen.objects.forEach((object) => {
+    if (!isDrawnObject(object)) return;
+    const { type } = object.userData;
+    const rect = getFootprint(object);
+    if (PLAN_OPENING_TYPES.includes(type)) items.openings.push(rect);
+    else if (rect.minY < PLAN_FLOOR_HEIGHT) items.floor.push(rect);
+    else if (rect.minY < counterTop + 0.1) items.counter.push(rect);
+    else items.overhead.push(rect);
+  });
+  return items;
+}
+
+/**
+ * Open gaps up to PLAN_MAX_CLEARANCE between aisle-forming items and between
+ * them and the walls, as { from, to, distance, narrow }.
+ */
+function collectPlanClearances(floorItems) {
+  const { minAisle, minWallPassage, tolerance } = getValidationSettings();
+  const aisleItems = floorItems.filter(item => AISLE_TYPES.includes(item.object.userData.type));
+  const clearances = [];
+  const add = (gap, minimum, ends) => {
+    if (gap.distance <= tolerance || gap.distance > PLAN_MAX_CLEARANCE) return;
+    // A gap running through another item (a run end facing the wall behind the other run) is not open floor
+    const middle = gap.from.clone().lerp(gap.to, 0.5);
+    if (aisleItems.some(item => !ends.includes(item) && footprintDistance(item, middle) === 0)) return;
+    clearances.push({ ...gap, narrow: gap.distance < minimum });
+  };
+  aisleItems.forEach((a, i) => {
+    aisleItems.slice(i + 1).forEach(b => add(footprintGap(a, b), minAisle, [a, b]));
+    roomWallFaces().forEach(face => add(footprintWallGap(a, face), minWallPassage, [a]));
+  });
+  return clearances;
+}
+
+/**
+ * Lines between the cabinet modules of a run, across the run's depth.
+ */
+function svgRunModules(run) {
+  const lines = [];
+  run.object.traverse((child) => {
+    if (!child.userData.cabinetModule) return;
+    const rect = getFootprint(child);
+    const [a, b] = [[1, -1], [1, 1]].map(([sx, sz]) => footprintWorldPoint(rect, sx * rect.halfX, sz * rect.halfZ));
+    lines.push(svgLine(a, b, `stroke="${PLAN_COLORS.line}" stroke-width="0.01"`));
+  });
+  return lines.join('');
+}
+
+/**
+ * The floor plan of the current kitchen as an SVG document.
+ */
+function renderPlanSvg() {
+  const { width, depth, wallThickness = 0.1, walls = [] } = kitchen.layout.room;
+  const items = collectPlanItems();
+  const minX = -width/2 - PLAN_MARGIN, minZ = -depth/2 - PLAN_MARGIN;
+  const viewWidth = width + PLAN_MARGIN * 2, viewDepth = depth + PLAN_MARGIN * 2 + 0.8;
+  const parts = [];
+
+  // Room outline, then the built walls as solid bands
+  const corners = [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sz]) => new THREE.Vector2(sx * width/2, sz * depth/2));
+  parts.push(`<polygon points="${svgPoints(corners)}" fill="#ffffff" stroke="${PLAN_COLORS.overhead}" stroke-width="0.02" stroke-dasharray="0.15 0.1"/>`);
+  walls.forEach(({ side }) => {
+    const alongX = side === 'back' || side === 'front';
+    const center = { back: [0, -depth/2], front: [0, depth/2], left: [-width/2, 0], right: [width/2, 0] }[side];
+    const [halfX, halfZ] = alongX ? [width/2 + wallThickness/2, wallThickness/2] : [wallThickness/2, depth/2 + wallThickness/2];
+    parts.push(`<rect x="${center[0] - halfX}" y="${center[1] - halfZ}" width="${halfX * 2}" height="${halfZ * 2}" fill="${PLAN_COLORS.wall}"/>`);
+  });
+
+  // Openings break the wall: a light band with the glazing line
+  items.openings.forEach((rect) => {
+    const [a, b, c, d] = footprintCorners(rect);
+    parts.push(`<polygon points="${svgPoints([a, b, c, d])}" fill="#ffffff" stroke="${PLAN_COLORS.line}" stroke-width="0.015"/>`);
+    parts.push(svgLine(a.clone().lerp(d, 0.5), b.clone().lerp(c, 0.5), `stroke="${PLAN_COLORS.line}" stroke-width="0.015"`));
+  });
+
+  // Items: floor-standing bold, counter fixtures thin, wall-mounted dashed
+  items.floor.forEach((rect) => {
+    parts.push(`<polygon points="${svgPoints(footprintCorners(rect))}" fill="#f5f7fa" stroke="${PLAN_COLORS.line}" stroke-width="0.03"/>`);
+    if (rect.object.userData.type === 'cabinetRun') parts.push(svgRunModules(rect));
+  });
+  items.counter.forEach((rect) => {
+    parts.push(`<polygon points="${svgPoints(footprintCorners(rect))}" fill="none" stroke="${PLAN_COLORS.line}" stroke-width="0.015"/>`);
+  });
+  items.overhead.forEach((rect) => {
+    parts.push(`<polygon points="${svgPoints(footprintCorners(rect))}" fill="none" stroke="${PLAN_COLORS.overhead}" stroke-width="0.015" stroke-dasharray="0.1 0.06"/>`);
+  });
+  items.floor.forEach((rect) => {
+    if (Math.min(rect.halfX, rect.halfZ) * 2 < PLAN_LABEL_MIN_SIZE) return;
+    const long = rect.halfX >= rect.halfZ ? footprintAxes(rect)[0] : footprintAxes(rect)[1];
+    parts.push(svgText(rect.center, long, rect.name, `fill="${PLAN_COLORS.line}" font-size="0.2" text-anchor="middle" dominant-baseline="middle"`));
+  });
+
+  // Room size outside the walls, run lengths along the run fronts
+  parts.push(svgDimension(corners[0], corners[1], new THREE.Vector2(0, -1), wallThickness/2 + 0.6));
+  parts.push(svgDimension(corners[0], corners[3], new THREE.Vector2(-1, 0), wallThickness/2 + 0.6));
+  items.floor.filter(rect => rect.object.userData.type === 'cabinetRun').forEach((rect) => {
+    const front = footprintAxes(rect)[1];
+    parts.push(svgDimension(footprintWorldPoint(rect, -rect.halfX, rect.halfZ), footprintWorldPoint(rect, rect.halfX, rect.halfZ), front, 0.35));
+  });
+
+  // Clearances between runs, island, table and walls; too narrow ones in red
+  collectPlanClearances(items.floor).forEach(({ from, to, narrow }) => {
+    parts.push(svgClearance(from, to, narrow ? PLAN_COLORS.narrow : PLAN_COLORS.clearance));
+  });
+
+  parts.push(svgTitle(minX + 0.3, depth/2 + PLAN_MARGIN + 0.3, 'floor plan', 'Dimensions in m. Bold: floor-standing; thin: built into the counters; dashed: wall-mounted above the counter.'));
+  return svgSheet(minX, minZ, viewWidth, viewDepth, parts);
+}
+
+// --- Drawing Sheets ---
+
+/**
+ * The sheets the panel offers: the floor plan, then one elevation per cabinet
+ * run, as { key, label, file, render }.
+ */
+function drawingSheets() {
+  return [{ key: 'plan', label: 'Floor plan', file: 'plan', render: renderPlanSvg }, ...elevationSheets()];
+}
+
+function selectedSheet(sheets = drawingSheets()) {
+  return sheets.find(sheet => sheet.key === planSheetSelect.value) || sheets[0];
+}
+
+/**
+ * Syncs the sheet list with the layout (runs can be added and removed) and
+ * redraws the selected sheet.
+ */
+function refreshPlan() {
+  const sheets = drawingSheets();
+  const selected = selectedSheet(sheets);
+  planSheetSelect.replaceChildren(...sheets.map(({ key, label }) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    return option;
+  }));
+  planSheetSelect.value = selected.key;
+  planDrawing.innerHTML = selected.render();
+}
+
+function downloadPlanSvg() {
+  const { file, render } = selectedSheet();
+  downloadBlob(new Blob([render()], { type: 'image/svg+xml' }), `${fileSlug(kitchen.layout.name)}-${file}.svg`);
+}
+
+/**
+ * Opens every sheet on its own page, one per printed page, and prints them;
+ * "Save as PDF" in the print dialog makes the PDF.
+ */
+function printPlan() {
+  const page = window.open('', '_blank');
+  if (!page) {
+    window.alert('Allow pop-ups for this page to print the drawings.');
+    return;
+  }
+  const sheets = drawingSheets().map(sheet => `<section>${sheet.render()}</section>`).join('');
+  page.document.write(`<!DOCTYPE html><html><head><title>${escapeXml(kitchen.layout.name || 'Kitchen')} drawings</title>`
+    + '<style>@page { size: landscape; margin: 10mm; } body { margin: 0; } section { break-after: page; } svg { display: block; width: 100%; height: auto; max-height: 95vh; }</style>'
+    + `</head><body>${sheets}</body></html>`);
+  page.document.close();
+  page.focus();
+  page.print();
+}
+
+function setupPlan() {
+  registerToolPanel(planPanel, planButton, { onOpen: refreshPlan });
+  planSheetSelect.addEventListener('change', refreshPlan);
+  planSvgButton.addEventListener('click', downloadPlanSvg);
+  planPrintButton.addEventListener('click', printPlan);
+  window.addEventListener(LAYOUT_CHANGE_EVENT, () => {
+    if (isToolPanelOpen(planPanel)) refreshPlan();
+  });
+}
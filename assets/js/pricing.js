@@ -0,0 +1,177 @@
+// --- Cost Estimate ---
+// Prices the bill of materials with a price catalog (assets/catalogs/): areas
+// per material, cabinets per linear metre and everything else per unit. Prices
+// can be edited in the panel and the catalog downloaded again.
+
+const PRICE_CATALOG_URL = 'assets/catalogs/prices.json';
+// BOM categories priced through the totals (areas, linear metres) instead of per unit
+const AREA_PRICED_CATEGORIES = ['Base cabinets', 'Wall cabinets', 'Countertops', 'Backsplash', 'Tiling'];
+// Props that dress the scene but are not bought with the kitchen
+const UNPRICED_TYPES = ['canRow', 'fruitBowl'];
+
+const pricingPanel = document.getElementById('pricing-panel');
+const pricingButton = document.getElementById('btn-pricing');
+const pricingTotal = document.getElementById('pricing-total');
+const pricingRows = document.getElementById('pricing-rows');
+const pricingSaveButton = document.getElementById('btn-save-prices');
+
+let priceCatalog = null;
+
+/**
+ * Fetches a price catalog file.
+ */
+async function loadPriceCatalog(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to load price catalog "${url}" (HTTP ${response.status})`);
+  }
+  return response.json();
+}
+
+// "decorPanel" -> "Decor panel"
+function typeLabel(type) {
+  const words = type.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function formatMoney(amount, currency) {
+  return new Intl.NumberFormat(undefined, { style: 'currency', currency }).format(amount);
+}
+
+/**
+ * The selected preset of the finish slot that swaps a material (or its
+ * texture), as { key, label }, or null if no slot does.
+ */
+function selectedFinish(material) {
+  const texture = kitchen.layout.materials?.[material]?.map;
+  const swaps = preset => preset.materials?.[material] || preset.textures?.[material] || (texture && preset.textures?.[texture]);
+  const slot = Object.values(kitchen.layout.finishes || {}).find(({ presets }) => Object.values(presets).some(swaps));
+  if (!slot) return null;
+  return { key: slot.selected, label: slot.presets[slot.selected]?.label || slot.selected };
+}
+
+/**
+ * Estimate rows as { label, quantity, unit, key: [section, name], price, total };
+ * `price` and `total` are null when the catalog has no price for the row.
+ */
+function estimateCost(bom, catalog) {
+  const rows = [];
+  const addRow = (label, quantity, unit, key) => {
+    const price = catalog[key[0]]?.[key[1]] ?? null;
+    rows.push({ label, quantity, unit, key, price, total: price === null ? null : price * quantity });
+  };
+  // Areas are priced by the finish chosen for their material, else by the material
+  const addAreaRow = (label, section, material, area) => {
+    const finish = selectedFinish(material);
+    const name = finish && (catalog[section]?.[finish.key] !== undefined || catalog[section]?.[material] === undefined) ? finish.key : material;
+    addRow(`${label} (${finish ? finish.label : material})`, area, 'm²', [section, name]);
+  };
+
+  Object.entries(bom.totals.countertopArea).forEach(([material, area]) => addAreaRow('Countertop', 'countertops', material, area));
+  Object.entries(bom.totals.tileArea).forEach(([material, area]) => addAreaRow('Tiling', 'tiles', material, area));
+  const { base, wall } = bom.totals.cabinetLength;
+  if (base > 0) addRow('Base cabinets', base, 'm', ['cabinets', 'base']);
+  if (wall > 0) addRow('Wall cabinets', wall, 'm', ['cabinets', 'wall']);
+
+  // One row per component type, labelled with its item name if all share one
+  const units = new Map();
+  bom.lines.filter(line => !AREA_PRICED_CATEGORIES.includes(line.category) && !UNPRICED_TYPES.includes(line.type)).forEach((line) => {
+    const unit = units.get(line.type) || { label: line.item, quantity: 0 };
+    if (unit.label !== line.item) unit.label = typeLabel(line.type);
+    unit.quantity += line.quantity;
+    units.set(line.type, unit);
+  });
+  units.forEach(({ label, quantity }, type) => addRow(label, quantity, 'pcs', ['items', type]));
+  return rows;
+}
+
+/**
+ * Sum of the priced rows, and how many rows have no price.
+ */
+function summarizeEstimate(rows) {
+  return {
+    total: rows.reduce((sum, row) => sum + (row.total ?? 0), 0),
+    unpriced: rows.filter(row => row.price === null).length
+  };
+}
+
+function showEstimateTotal(rows) {
+  const { total, unpriced } = summarizeEstimate(rows);
+  pricingTotal.textContent = formatMoney(total, priceCatalog.currency)
+    + (unpriced ? ` (${unpriced} item${unpriced === 1 ? '' : 's'} not priced)` : '');
+}
+
+/**
+ * Rebuilds the estimate table from the current kitchen and catalog.
+ */
+function refreshPricing() {
+  if (!priceCatalog) {
+    pricingTotal.textContent = 'Loading price catalog…';
+    return;
+  }
+  const rows = estimateCost(generateBOM(), priceCatalog);
+  const totalCells = [];
+  pricingRows.replaceChildren(...rows.map((row) => {
+    const tr = document.createElement('tr');
+    const label = document.createElement('td');
+    label.textContent = row.label;
+    const quantity = document.createElement('td');
+    quantity.className = 'text-right pr-2 whitespace-nowrap';
+    quantity.textContent = `${row.unit === 'pcs' ? row.quantity : row.quantity.toFixed(2)} ${row.unit}`;
+    const priceCell = document.createElement('td');
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = '0';
+    input.step = 'any';
+    input.value = row.price ?? '';
+    input.placeholder = '—';
+    input.className = 'w-20 px-1 text-right text-black rounded';
+    priceCell.appendChild(input);
+    const total = document.createElement('td');
+    total.className = 'text-right pl-2 whitespace-nowrap';
+    totalCells.push(total);
+
+    // Editing a price updates the catalog and the totals in place, keeping input focus
+    input.addEventListener('input', () => {
+      const [section, name] = row.key;
+      const value = input.value === '' ? null : Number(input.value);
+      priceCatalog[section] = priceCatalog[section] || {};
+      if (value === null) delete priceCatalog[section][name];
+      else priceCatalog[section][name] = value;
+      rows.forEach((other, i) => {
+        if (other.key[0] !== section || other.key[1] !== name) return;
+        other.price = value;
+        other.total = value === null ? null : value * other.quantity;
+        totalCells[i].textContent = other.total === null ? '—' : formatMoney(other.total, priceCatalog.currency);
+      });
+      showEstimateTotal(rows);
+    });
+
+    total.textContent = row.total === null ? '—' : formatMoney(row.total, priceCatalog.currency);
+    tr.append(label, quantity, priceCell, total);
+    return tr;
+  }));
+  showEstimateTotal(rows);
+}
+
+function setupPricing() {
+  registerToolPanel(pricingPanel, pricingButton, { onOpen: refreshPricing });
+  // Layout edits and material swaps both change the quantities or prices
+  window.addEventListener(LAYOUT_CHANGE_EVENT, () => {
+    if (isToolPanelOpen(pricingPanel)) refreshPricing();
+  });
+  pricingSaveButton.addEventListener('click', () => {
+    if (!priceCatalog) return;
+    downloadBlob(new Blob([JSON.stringify(priceCatalog, null, 2) + '\n'], { type: 'application/json' }), 'prices.json');
+  });
+
+  loadPriceCatalog(PRICE_CATALOG_URL)
+    .then((catalog) => {
+      priceCatalog = catalog;
+      if (isToolPanelOpen(pricingPanel)) refreshPricing();
+    })
+    .catch((err) => {
+      console.error(err);
+      pricingTotal.textContent = `Could not load the price catalog: ${err.message}`;
+    });
+}
@@ -0,0 +1,293 @@
+// --- Procedural Canvas Textures ---
+// Generators referenced by name from the "textures" section of a layout file.
+// Granite, tile and the dark backsplash come with normal and roughness maps,
+// so grout reads as recessed and glazes and polished stone catch highlights.
+
+/**
+ * Wraps a canvas in a repeating texture; color maps are sRGB, data maps
+ * (normals, roughness) linear.
+ */
+function canvasToTexture(canvas, encoding = THREE.sRGBEncoding) {
+  const tx = new THREE.CanvasTexture(canvas);
+  tx.wrapS = tx.wrapT = THREE.RepeatWrapping;
+  tx.anisotropy = 4;
+  tx.encoding = encoding;
+  tx.needsUpdate = true;
+  return tx;
+}
+
+// --- Seeded Randomness ---
+// Generators draw their randomness from a seeded sequence, so a texture looks
+// the same on every load. The seed defaults to the texture's key.
+
+// Numeric seed for a string (FNV-1a)
+function hashSeed(text) {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32); a string seed is hashed.
+ */
+function createRandom(seed) {
+  let state = typeof seed === 'string' ? hashSeed(seed) : seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// --- Canvases and Surface Maps ---
+
+/**
+ * A square canvas of `resolution` pixels whose context draws in the units of a
+ * `size`-pixel design, so a generator renders at any resolution.
+ */
+function createTextureCanvas(size, resolution = size) {
+  const canvas = document.createElement('canvas');
+  canvas.width = canvas.height = resolution;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(resolution / size, resolution / size);
+  return { canvas, ctx };
+}
+
+// Gray level (0-255) as a fill color, for height canvases
+function gray(level) {
+  const v = Math.round(THREE.MathUtils.clamp(level, 0, 255));
+  return `rgb(${v},${v},${v})`;
+}
+
+// Roughness level (0-255) as a fill color, packed as glTF does: roughness in
+// green, full metalness in blue
+function roughnessColor(level) {
+  const v = Math.round(THREE.MathUtils.clamp(level, 0, 255));
+  return `rgb(0,${v},255)`;
+}
+
+/**
+ * Tangent-space normal map of a height canvas (white is high); `relief` scales
+ * the slopes, measured per pixel of a `size`-pixel design so the surface looks
+ * the same at any resolution. Neighbours wrap around the edges, so the map
+ * tiles like its height.
+ */
+function heightToNormalCanvas(heightCanvas, relief, size = heightCanvas.width) {
+  const { width, height } = heightCanvas;
+  const strength = relief * width / size;
+  const heights = heightCanvas.getContext('2d').getImageData(0, 0, width, height).data;
+  const at = (x, y) => heights[(((y + height) % height) * width + (x + width) % width) * 4] / 255;
+  const canvas = document.createElement('canvas');
+  canvas.width = width; canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(width, height);
+  const normal = new THREE.Vector3();
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      // Canvas rows run down while texture v runs up, hence the sign of y
+      normal.set(-(at(x + 1, y) - at(x - 1, y)) * strength, (at(x, y + 1) - at(x, y - 1)) * strength, 1).normalize();
+      const i = (y * width + x) * 4;
+      image.data[i] = (normal.x * 0.5 + 0.5) * 255;
+      image.data[i + 1] = (normal.y * 0.5 + 0.5) * 255;
+      image.data[i + 2] = (normal.z * 0.5 + 0.5) * 255;
+      image.data[i + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Textures of a generated surface: the color map, plus a normal map from the
+ * height canvas and a roughness map (see roughnessColor; full green is the
+ * material's own roughness) when given. `size` is the design size of the
+ * canvases (see createTextureCanvas). The roughness map doubles as the
+ * metalness map, which leaves the material's metalness as it is and lets glTF
+ * export keep it. All share one repeat, so setting the map's repeat tiles the
+ * others with it.
+ */
+function createSurfaceTextures({ color, height, roughness }, relief = 2, size = color.width) {
+  const set = { map: canvasToTexture(color) };
+  if (height) set.normalMap = canvasToTexture(heightToNormalCanvas(height, relief, size), THREE.LinearEncoding);
+  if (roughness) set.roughnessMap = set.metalnessMap = canvasToTexture(roughness, THREE.LinearEncoding);
+  Object.values(set).forEach((tx) => {
+    tx.repeat = set.map.repeat;
+  });
+  return set;
+}
+
+/**
+ * Frees the textures of a surface made by createSurfaceTextures().
+ */
+function disposeSurfaceTextures(set) {
+  new Set(Object.values(set)).forEach(tx => tx.dispose());
+}
+
+// --- Generators ---
+// Each takes the params of a layout texture (plus its `seed`) and returns
+// { map, normalMap, roughnessMap, metalnessMap }, all but the map only for
+// surfaces with relief.
+// `resolution` sets the canvas size in pixels.
+
+// Helper: create a repeating tile texture using Canvas; grout is recessed and matte, the glaze glossy
+function createTileTexture({ tileColor = '#dfe6ea', groutColor = '#a9b0b6', tilePx = 128, groutPx = 4, jitter = 0, seed, resolution, relief = 2 }) {
+  const size = tilePx + groutPx; // one tile cell including grout on one side
+  const random = createRandom(seed);
+  const color = createTextureCanvas(size, resolution);
+  const height = createTextureCanvas(size, resolution);
+  const roughness = createTextureCanvas(size, resolution);
+
+  // Draw grout background
+  color.ctx.fillStyle = groutColor;
+  color.ctx.fillRect(0, 0, size, size);
+  height.ctx.fillStyle = gray(0);
+  height.ctx.fillRect(0, 0, size, size);
+  roughness.ctx.fillStyle = roughnessColor(255);
+  roughness.ctx.fillRect(0, 0, size, size);
+
+  // Optional slight color variation for tile body
+  let base = tileColor;
+  if (jitter > 0) {
+    const c = parseInt(tileColor.replace('#',''), 16);
+    const r = (c >> 16) & 255, g = (c >> 8) & 255, b = c & 255;
+    const j = (v) => Math.max(0, Math.min(255, v + Math.floor((random()*2-1)*jitter)));
+    base = `rgb(${j(r)},${j(g)},${j(b)})`;
+  }
+
+  // Draw tile square leaving groutPx margins at top/left to form grid when repeated
+  const tileSize = tilePx - groutPx;
+  color.ctx.fillStyle = base;
+  color.ctx.fillRect(groutPx, groutPx, tileSize, tileSize);
+  // Rounded tile edges: the height climbs over a bevel as wide as the grout
+  for (let i = 0; i < groutPx; i++) {
+    height.ctx.fillStyle = gray(255 * (i + 1) / groutPx);
+    height.ctx.fillRect(groutPx + i, groutPx + i, tileSize - i * 2, tileSize - i * 2);
+  }
+  roughness.ctx.fillStyle = roughnessColor(110);
+  roughness.ctx.fillRect(groutPx, groutPx, tileSize, tileSize);
+
+  return createSurfaceTextures({ color: color.canvas, height: height.canvas, roughness: roughness.canvas }, relief, size);
+}
+
+// Helper: create a speckled granite texture using Canvas; speckles stand slightly proud and catch the light
+function createGraniteTexture({ base = '#3a3a3a', speckles = ['#d9d9d9', '#7a7a7a', '#111111'], count = 800, seed, resolution, relief = 1.5 }) {
+  const size = 256;
+  const random = createRandom(seed);
+  const color = createTextureCanvas(size, resolution);
+  const height = createTextureCanvas(size, resolution);
+  const roughness = createTextureCanvas(size, resolution);
+  const dot = (ctx, x, y, r, fill) => {
+    ctx.fillStyle = fill;
+    ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI*2); ctx.fill();
+  };
+  // base
+  color.ctx.fillStyle = base; color.ctx.fillRect(0, 0, size, size);
+  height.ctx.fillStyle = gray(128); height.ctx.fillRect(0, 0, size, size);
+  roughness.ctx.fillStyle = roughnessColor(230); roughness.ctx.fillRect(0, 0, size, size);
+  // subtle cloudy variation
+  for (let i = 0; i < 2000; i++) {
+    const x = random()*size, y = random()*size;
+    const r = random()*2 + 0.5;
+    const alpha = 0.02;
+    dot(color.ctx, x, y, r, `rgba(255,255,255,${alpha})`);
+    dot(roughness.ctx, x, y, r, 'rgba(0,255,255,0.08)');
+  }
+  // speckles
+  for (let i = 0; i < count; i++) {
+    const x = random()*size, y = random()*size;
+    const r = random()*1.8 + 0.2;
+    dot(color.ctx, x, y, r, speckles[Math.floor(random()*speckles.length)]);
+    dot(height.ctx, x, y, r, gray(128 + 60 + random()*60));
+    dot(roughness.ctx, x, y, r, roughnessColor(120 + random()*60));
+  }
+  return createSurfaceTextures({ color: color.canvas, height: height.canvas, roughness: roughness.canvas }, relief, size);
+}
+
+// Decorative patterned tile for backsplash
+function createDecorTileTexture({ background = '#f7f1e9', colors = ['#2b8a83', '#ffb703', '#cc6b49'], dots = '#2b3a67', resolution }) {
+  const size = 192;
+  const { canvas, ctx } = createTextureCanvas(size, resolution);
+  // background
+  ctx.fillStyle = background;
+  ctx.fillRect(0,0,size,size);
+  // vibrant star/flower motif: layered rotated squares (teal/mustard/terra)
+  function star(x, y, r, colors) {
+    ctx.save();
+    ctx.translate(x,y);
+    for (let i=0;i<3;i++){
+      ctx.rotate(Math.PI/4);
+      ctx.fillStyle = colors[i%colors.length];
+      ctx.beginPath();
+      ctx.moveTo(-r,0); ctx.lineTo(0,-r); ctx.lineTo(r,0); ctx.lineTo(0,r); ctx.closePath();
+      ctx.fill();
+      r *= 0.7;
+    }
+    ctx.restore();
+  }
+  for (let y=0; y<=size; y+=64){
+    for (let x=0; x<=size; x+=64){
+      star(x+16, y+16, 22, colors);
+    }
+  }
+  // dot accents
+  ctx.fillStyle = dots;
+  for (let y=0; y<=size; y+=32){
+    for (let x=0; x<=size; x+=32){
+      ctx.beginPath(); ctx.arc(x+8,y+8,2.2,0,Math.PI*2); ctx.fill();
+    }
+  }
+  return createSurfaceTextures({ color: canvas });
+}
+
+// Dark, high-contrast backsplash texture for visibility; the lattice lines are
+// grout joints between glazed diamond tiles
+function createBacksplashDarkTexture({ background = '#1f2a44', lines = '#3ec1a9', dots = '#ffb703', resolution, relief = 2 }) {
+  const size = 256;
+  const step = 32;
+  const color = createTextureCanvas(size, resolution);
+  const height = createTextureCanvas(size, resolution);
+  const roughness = createTextureCanvas(size, resolution);
+  // The same lattice and dots on each canvas, in its own colors
+  const paint = ({ ctx }, fill, stroke, dot) => {
+    ctx.fillStyle = fill;
+    ctx.fillRect(0,0,size,size);
+    // geometric lattice (diamonds)
+    ctx.strokeStyle = stroke;
+    ctx.lineWidth = 3;
+    for (let y = -step; y <= size + step; y += step) {
+      for (let x = -step; x <= size + step; x += step) {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + step/2, y + step/2);
+        ctx.lineTo(x, y + step);
+        ctx.lineTo(x - step/2, y + step/2);
+        ctx.closePath();
+        ctx.stroke();
+      }
+    }
+    // small dots at intersections
+    ctx.fillStyle = dot;
+    for (let y = 0; y <= size; y += step) {
+      for (let x = 0; x <= size; x += step) {
+        ctx.beginPath(); ctx.arc(x, y, 2.5, 0, Math.PI*2); ctx.fill();
+      }
+    }
+  };
+  paint(color, background, lines, dots);
+  paint(height, gray(255), gray(0), gray(160));
+  paint(roughness, roughnessColor(120), roughnessColor(255), roughnessColor(90));
+  return createSurfaceTextures({ color: color.canvas, height: height.canvas, roughness: roughness.canvas }, relief, size);
+}
+
+// Generator names usable in layout files
+const TEXTURE_GENERATORS = {
+  tile: createTileTexture,
+  granite: createGraniteTexture,
+  decorTile: createDecorTileTexture,
+  backsplashDark: createBacksplashDarkTexture
+};
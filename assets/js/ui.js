@@ -0,0 +1,43 @@
+// --- Tool Panels ---
+// Tool panels share the slot above the toolbar; opening one closes the others.
+
+const toolPanels = new Map(); // panel element -> { button, onOpen, onClose }
+
+function isToolPanelOpen(panel) {
+  return panel.classList.contains('visible');
+}
+
+/**
+ * Opens or closes a registered tool panel and syncs its toolbar button.
+ */
+function setToolPanelOpen(panel, open) {
+  if (open) {
+    toolPanels.forEach((_, other) => {
+      if (other !== panel) setToolPanelOpen(other, false);
+    });
+  }
+  const { button, onOpen, onClose } = toolPanels.get(panel);
+  const wasOpen = isToolPanelOpen(panel);
+  panel.classList.toggle('visible', open);
+  button.classList.toggle('active', open);
+  if (open && !wasOpen && onOpen) onOpen();
+  if (!open && wasOpen && onClose) onClose();
+}
+
+/**
+ * Lets a toolbar button toggle a tool panel.
+ */
+function registerToolPanel(panel, button, { onOpen, onClose } = {}) {
+  toolPanels.set(panel, { button, onOpen, onClose });
+  button.addEventListener('click', () => setToolPanelOpen(panel, !isToolPanelOpen(panel)));
+}
+
+// --- Keyboard Shortcuts ---
+
+/**
+ * Whether a key event's target takes keyboard input of its own (form fields,
+ * editable text), so shortcuts leave it alone.
+ */
+function isFormTarget(target) {
+  return ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || Boolean(target.isContentEditable);
+}
@@ -0,0 +1,190 @@
+// --- Layout Validation ---
+// Checks placed items for overlaps, counter placement and walkway clearances,
+// and outlines the offending items in the scene.
+
+// Defaults; a layout can override any of these in its "validation" section
+const DEFAULT_VALIDATION = {
+  minAisle: 0.9,        // between cabinet runs, island and dining table
+  minWallPassage: 0.9,  // between those and the room walls
+  tolerance: 0.01       // overlaps/gaps below this count as contact
+};
+// Item types that form aisles and walkways
+const AISLE_TYPES = ['cabinetRun', 'island', 'diningTable'];
+const ISSUE_COLORS = { overlap: 0xff3b30, placement: 0xff3b30, clearance: 0xffb703 };
+
+const validationPanel = document.getElementById('validation-panel');
+const validationButton = document.getElementById('btn-validate');
+const validationSummary = document.getElementById('validation-summary');
+const validationList = document.getElementById('validation-issues');
+
+let validationOverlay = null;
+
+function formatMeters(value) {
+  return `${value.toFixed(2)} m`;
+}
+
+function getValidationSettings() {
+  return { ...DEFAULT_VALIDATION, ...kitchen.layout.validation };
+}
+
+/**
+ * Collects footprints of the items the validator looks at, split by mount.
+ */
+function collectPlacedItems() {
+  const floor = [];
+  const counter = [];
+  kitchen.objects.forEach((object, id) => {
+    if (!object.visible) return;
+    if (object.userData.type === 'cabinetRun') {
+      floor.push(getFootprint(object));
+      return;
+    }
+    const mount = getEntryMount(findLayoutEntry(kitchen.layout, id));
+    if (mount === 'floor') floor.push(getFootprint(object));
+    else if (mount === 'counter') counter.push(getFootprint(object));
+  });
+  return { floor, counter };
+}
+
+function verticalOverlap(a, b) {
+  return Math.min(a.maxY, b.maxY) - Math.max(a.minY, b.minY);
+}
+
+function findOverlaps(items, tolerance, issues) {
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      const a = items[i], b = items[j];
+      const depth = footprintOverlap(a, b);
+      if (depth > tolerance && verticalOverlap(a, b) > tolerance) {
+        issues.push({ kind: 'overlap', ids: [a.id, b.id], message: `${a.name} overlaps ${b.name} by ${formatMeters(depth)}` });
+      }
+    }
+  }
+}
+
+/**
+ * Counter items must sit fully on a countertop and rest on its surface.
+ */
+function checkCounterPlacement(items, surfaces, tolerance, issues) {
+  items.forEach((item) => {
+    const host = surfaces.find(surface => footprintContains(surface, item, tolerance));
+    if (!host) {
+      const partly = surfaces.some(surface => footprintOverlap(surface, item) > 0);
+      issues.push({ kind: 'placement', ids: [item.id], message: partly ? `${item.name} overhangs the counter edge` : `${item.name} is off the counter` });
+      return;
+    }
+    const offset = item.minY - host.maxY;
+    if (Math.abs(offset) > tolerance) {
+      const verb = offset > 0 ? 'floats above' : 'sinks into';
+      issues.push({ kind: 'placement', ids: [item.id, host.id], message: `${item.name} ${verb} ${surfaceName(host)} by ${formatMeters(Math.abs(offset))}` });
+    }
+  });
+}
+
+/**
+ * Gaps between aisle-forming items (and the walls) that are open but too narrow.
+ */
+function checkClearances(items, settings, issues) {
+  const { minAisle, minWallPassage, tolerance } = settings;
+  const aisleItems = items.filter(item => AISLE_TYPES.includes(item.object.userData.type));
+  for (let i = 0; i < aisleItems.length; i++) {
+    for (let j = i + 1; j < aisleItems.length; j++) {
+      const a = aisleItems[i], b = aisleItems[j];
+      const gap = footprintGap(a, b);
+      if (gap.distance > tolerance && gap.distance < minAisle) {
+        issues.push({ kind: 'clearance', ids: [a.id, b.id], line: [gap.from, gap.to], message: `Aisle between ${a.name} and ${b.name} is ${formatMeters(gap.distance)} (min ${formatMeters(minAisle)})` });
+      }
+    }
+  }
+
+  aisleItems.forEach((item) => {
+    roomWallFaces().forEach((face) => {
+      const { distance, from, to } = footprintWallGap(item, face);
+      if (distance > tolerance && distance < minWallPassage) {
+        issues.push({ kind: 'clearance', ids: [item.id], line: [from, to], message: `Passage between ${item.name} and the ${face.side} wall is ${formatMeters(distance)} (min ${formatMeters(minWallPassage)})` });
+      }
+    });
+  });
+}
+
+/**
+ * Runs every check against the current kitchen.
+ * Returns issues as { kind: 'overlap'|'placement'|'clearance', message, ids, line? }.
+ */
+function validateLayout() {
+  const settings = getValidationSettings();
+  const { floor, counter } = collectPlacedItems();
+  const surfaces = floor.filter(item => item.object.userData.surface);
+  const issues = [];
+  findOverlaps(floor, settings.tolerance, issues);
+  findOverlaps(counter, settings.tolerance, issues);
+  checkCounterPlacement(counter, surfaces, settings.tolerance, issues);
+  checkClearances(floor, settings, issues);
+  return issues;
+}
+
+function clearValidationOverlay() {
+  if (!validationOverlay) return;
+  scene.remove(validationOverlay);
+  validationOverlay.traverse((object) => {
+    if (object.geometry) object.geometry.dispose();
+    if (object.material) object.material.dispose();
+  });
+  validationOverlay = null;
+}
+
+/**
+ * Outlines offending items and draws too-narrow gaps.
+ */
+function showValidationOverlay(issues) {
+  clearValidationOverlay();
+  validationOverlay = new THREE.Group();
+  validationOverlay.name = 'validation-overlay';
+  const outlined = new Set();
+  issues.forEach((issue) => {
+    const color = ISSUE_COLORS[issue.kind];
+    issue.ids.forEach((id) => {
+      if (outlined.has(id)) return;
+      outlined.add(id);
+      const item = getFootprint(kitchen.objects.get(id));
+      const box = new THREE.BoxGeometry(item.halfX * 2 + 0.04, item.maxY - item.minY + 0.04, item.halfZ * 2 + 0.04);
+      const outline = new THREE.LineSegments(new THREE.EdgesGeometry(box), new THREE.LineBasicMaterial({ color, depthTest: false }));
+      box.dispose();
+      outline.position.set(item.center.x, (item.minY + item.maxY) / 2, item.center.y);
+      outline.rotation.y = item.yaw;
+      outline.renderOrder = 10;
+      validationOverlay.add(outline);
+    });
+    if (issue.line) {
+      const points = issue.line.map(p => new THREE.Vector3(p.x, 0.05, p.y));
+      const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), new THREE.LineBasicMaterial({ color, depthTest: false }));
+      line.renderOrder = 10;
+      validationOverlay.add(line);
+    }
+  });
+  scene.add(validationOverlay);
+}
+
+/**
+ * Re-runs validation and refreshes the panel and overlay.
+ */
+function refreshValidation() {
+  const issues = validateLayout();
+  validationSummary.textContent = issues.length === 0
+    ? 'No overlaps or clearance problems found.'
+    : `${issues.length} issue${issues.length === 1 ? '' : 's'} found.`;
+  validationList.replaceChildren(...issues.map((issue) => {
+    const li = document.createElement('li');
+    li.textContent = issue.message;
+    li.className = issue.kind === 'clearance' ? 'text-yellow-300' : 'text-red-300';
+    return li;
+  }));
+  showValidationOverlay(issues);
+}
+
+function setupValidation() {
+  registerToolPanel(validationPanel, validationButton, { onOpen: refreshValidation, onClose: clearValidationOverlay });
+  window.addEventListener(LAYOUT_CHANGE_EVENT, () => {
+    if (isToolPanelOpen(validationPanel)) refreshValidation();
+  });
+}
@@ -0,0 +1,288 @@
+// --- Design Variants ---
+// A variant is the difference between the current kitchen and the layout it
+// was loaded from: finish choices, added, removed and moved components, and
+// the camera view.
+// Variants are saved per layout in localStorage and shared as a URL hash
+// (#v=...), so opening the link shows the same variant.
+
+const VARIANTS_STORAGE_PREFIX = 'kitchen:variants:';
+const VARIANT_HASH_PREFIX = '#v=';
+
+const variantsPanel = document.getElementById('variants-panel');
+const variantsButton = document.getElementById('btn-variants');
+const variantNameInput = document.getElementById('variant-name');
+const variantSaveButton = document.getElementById('btn-save-variant');
+const variantLinkButton = document.getElementById('btn-copy-variant-link');
+const variantsList = document.getElementById('variants-list');
+
+let variantBase = null; // copy of the layout as loaded, before any changes
+
+function roundVariant(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Position and yaw of an entry as [x, y, z, degrees]
+function entryPlacement(entry) {
+  return [...(entry.position || [0, 0, 0]), entry.rotation || 0].map(roundVariant);
+}
+
+/**
+ * Captures the current variant in compact form:
+ * { f: { slot: preset }, a: [entry], r: [id], m: { id: [x, y, z, yaw] },
+ *   c: [camera x, y, z, target x, y, z, zoom], v: mode }
+ * where `f`, `a` (added components, in full), `r` (removed component ids) and
+ * `m` (moved components) only hold what differs from the loaded layout, and
+ * `v` (the camera mode) is left out for the isometric view.
+ */
+function captureVariant() {
+  const state = { f: {}, a: [], r: [], m: {} };
+  Object.entries(kitchen.layout.finishes || {}).forEach(([slotKey, slot]) => {
+    if (slot.selected !== variantBase.finishes?.[slotKey]?.selected) state.f[slotKey] = slot.selected;
+  });
+  (kitchen.layout.components || []).forEach((entry) => {
+    const base = findLayoutEntry(variantBase, entry.id);
+    if (!base || base.type !== entry.type) {
+      state.a.push(JSON.parse(JSON.stringify(entry)));
+      return;
+    }
+    const placement = entryPlacement(entry);
+    if (placement.join() !== entryPlacement(base).join()) state.m[entry.id] = placement;
+  });
+  (variantBase.components || []).forEach((base) => {
+    const entry = findLayoutEntry(kitchen.layout, base.id);
+    if (!entry || entry.type !== base.type) state.r.push(base.id);
+  });
+  const view = getCameraView();
+  state.c = [...view.position.toArray(), ...view.target.toArray(), view.zoom].map(roundVariant);
+  if (view.mode !== 'isometric') state.v = view.mode;
+  return state;
+}
+
+/**
+ * Makes the layout's components those of a variant: the loaded layout's,
+ * less the ones it removed, plus the ones it added.
+ */
+function applyVariantComponents(state) {
+  const added = state.a || [];
+  const removed = new Set(state.r || []);
+  const unknown = added.find(entry => !COMPONENT_BUILDERS[entry.type]);
+  if (unknown) throw new Error(`Variant adds "${unknown.id}" of unknown type "${unknown.type}"`);
+
+  const wanted = new Map();
+  (variantBase.components || []).forEach((base, index) => {
+    if (!removed.has(base.id)) wanted.set(base.id, { entry: base, index });
+  });
+  added.forEach((entry) => {
+    wanted.set(entry.id, { entry, index: Infinity });
+  });
+
+  (kitchen.layout.components || []).slice().forEach((entry) => {
+    const want = wanted.get(entry.id);
+    if (want && want.entry.type === entry.type) return;
+    removeComponentEntry(entry.id);
+  });
+  wanted.forEach(({ entry, index }, id) => {
+    if (findLayoutEntry(kitchen.layout, id)) return;
+    const components = kitchen.layout.components || [];
+    addComponentEntry(JSON.parse(JSON.stringify(entry)), Math.min(index, components.length));
+  });
+}
+
+/**
+ * Shows a captured variant: finishes and components it doesn't list go back
+ * to the loaded layout, so switching between variants never mixes them.
+ */
+function applyVariant(state) {
+  applyVariantComponents(state);
+
+  Object.entries(kitchen.layout.finishes || {}).forEach(([slotKey, slot]) => {
+    const presetKey = state.f?.[slotKey] ?? variantBase.finishes?.[slotKey]?.selected;
+    if (!slot.presets[presetKey]) {
+      if (presetKey !== undefined) console.warn(`Variant uses unknown finish "${slotKey}/${presetKey}"`);
+      return;
+    }
+    if (presetKey !== slot.selected) applyFinishPreset(slotKey, presetKey);
+  });
+
+  const moved = [];
+  (kitchen.layout.components || []).forEach((entry) => {
+    const base = findLayoutEntry(variantBase, entry.id);
+    const addedEntry = (state.a || []).find(added => added.id === entry.id);
+    const placement = state.m?.[entry.id] ?? entryPlacement(addedEntry || base);
+    if (placement.join() === entryPlacement(entry).join()) return;
+    entry.position = placement.slice(0, 3);
+    entry.rotation = placement[3];
+    placeObject(kitchen.objects.get(entry.id), entry);
+    moved.push(entry.id);
+  });
+  Object.keys(state.m || {}).forEach((id) => {
+    if (!findLayoutEntry(kitchen.layout, id)) console.warn(`Variant moves unknown component "${id}"`);
+  });
+
+  if (state.c) {
+    setCameraView({
+      mode: state.v || 'isometric',
+      position: new THREE.Vector3().fromArray(state.c, 0),
+      target: new THREE.Vector3().fromArray(state.c, 3),
+      zoom: state.c[6]
+    });
+  }
+  if (moved.length > 0) notifyLayoutChange('variant', { ids: moved });
+}
+
+/**
+ * Switches to a variant as an undoable edit.
+ */
+function switchVariant(state, label) {
+  const before = captureVariant();
+  applyVariant(state);
+  const after = captureVariant();
+  recordCommand({ label: `switch to ${label}`, undo: () => applyVariant(before), redo: () => applyVariant(after) });
+}
+
+// URL-safe base64 of the variant's JSON
+function encodeVariant(state) {
+  const bytes = new TextEncoder().encode(JSON.stringify(state));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeVariant(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+}
+
+/**
+ * Link to the current page showing a variant.
+ */
+function variantUrl(state) {
+  return `${window.location.origin}${window.location.pathname}${window.location.search}${VARIANT_HASH_PREFIX}${encodeVariant(state)}`;
+}
+
+function variantsStorageKey() {
+  return VARIANTS_STORAGE_PREFIX + fileSlug(kitchen.layout.name);
+}
+
+/**
+ * Saved variants of the current layout: [{ name, saved, state }].
+ */
+function loadSavedVariants() {
+  try {
+    return JSON.parse(window.localStorage.getItem(variantsStorageKey())) || [];
+  } catch (err) {
+    console.error('Could not read saved variants:', err);
+    return [];
+  }
+}
+
+function storeSavedVariants(variants) {
+  window.localStorage.setItem(variantsStorageKey(), JSON.stringify(variants));
+}
+
+/**
+ * Copies a variant link to the clipboard, falling back to a prompt where the
+ * clipboard is not available, and shows it in the address bar.
+ */
+async function shareVariant(state) {
+  const url = variantUrl(state);
+  window.history.replaceState(null, '', url);
+  try {
+    await navigator.clipboard.writeText(url);
+  } catch (err) {
+    window.prompt('Copy this link to share the variant:', url);
+  }
+}
+
+/**
+ * Applies the variant in the URL hash, if any. Returns true if one was applied.
+ * Links opened on a running page can be undone; the one the page loads with can't.
+ */
+function applyVariantFromHash(undoable = false) {
+  const { hash } = window.location;
+  if (!hash.startsWith(VARIANT_HASH_PREFIX)) return false;
+  try {
+    const state = decodeVariant(hash.slice(VARIANT_HASH_PREFIX.length));
+    if (undoable) switchVariant(state, 'linked variant');
+    else applyVariant(state);
+    return true;
+  } catch (err) {
+    console.error('Could not apply the variant in the link:', err);
+    window.alert(`Could not apply the variant in the link: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Lists the saved variants of the current layout.
+ */
+function refreshVariants() {
+  const variants = loadSavedVariants();
+  if (variants.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'text-gray-400';
+    empty.textContent = 'No saved variants for this layout yet.';
+    variantsList.replaceChildren(empty);
+    return;
+  }
+  variantsList.replaceChildren(...variants.map((variant, index) => {
+    const li = document.createElement('li');
+    li.className = 'flex items-center gap-2';
+    const show = document.createElement('button');
+    show.className = 'flex-1 text-left hover:underline';
+    show.textContent = variant.name;
+    show.title = `Saved ${new Date(variant.saved).toLocaleString()}`;
+    show.addEventListener('click', () => switchVariant(variant.state, variant.name));
+    const link = document.createElement('button');
+    link.className = 'toolbar-button';
+    link.textContent = 'Link';
+    link.title = 'Copy a link to this variant';
+    link.addEventListener('click', () => shareVariant(variant.state));
+    const remove = document.createElement('button');
+    remove.className = 'toolbar-button';
+    remove.textContent = 'Delete';
+    remove.addEventListener('click', () => {
+      const remaining = loadSavedVariants();
+      remaining.splice(index, 1);
+      storeSavedVariants(remaining);
+      refreshVariants();
+    });
+    li.append(show, link, remove);
+    return li;
+  }));
+}
+
+/**
+ * Saves the current variant under the typed name, replacing one of the same name.
+ */
+function saveCurrentVariant() {
+  const name = variantNameInput.value.trim() || `Variant ${loadSavedVariants().length + 1}`;
+  const variants = loadSavedVariants().filter(variant => variant.name !== name);
+  variants.push({ name, saved: new Date().toISOString(), state: captureVariant() });
+  try {
+    storeSavedVariants(variants);
+  } catch (err) {
+    console.error('Could not save the variant:', err);
+    window.alert(`Could not save the variant: ${err.message}`);
+    return;
+  }
+  variantNameInput.value = '';
+  refreshVariants();
+}
+
+function setupVariants() {
+  variantBase = JSON.parse(JSON.stringify(kitchen.layout));
+  // Variants are relative to the layout they were saved from
+  window.addEventListener(LAYOUT_CHANGE_EVENT, (event) => {
+    if (event.detail.reason !== 'rebuild') return;
+    variantBase = JSON.parse(JSON.stringify(kitchen.layout));
+    if (isToolPanelOpen(variantsPanel)) refreshVariants();
+  });
+
+  registerToolPanel(variantsPanel, variantsButton, { onOpen: refreshVariants });
+  variantSaveButton.addEventListener('click', saveCurrentVariant);
+  variantNameInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') saveCurrentVariant();
+  });
+  variantLinkButton.addEventListener('click', () => shareVariant(captureVariant()));
+  window.addEventListener('hashchange', () => applyVariantFromHash(true));
+  applyVariantFromHash();
+}